@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises'
+import { basename, extname } from 'node:path'
+import { parseArgs } from 'node:util'
+import { buildCsvExport, buildJsonExport } from '../src/dataExport.js'
+import { NORMALIZATION_OPTIONS, formatDuplicateKey } from '../src/engine.js'
+import { buildReportWorkbook, compareWorkbooks, hasDifferences } from '../src/headless.js'
+import { buildHtmlReport } from '../src/report.js'
+
+const EXIT_SAME = 0
+const EXIT_DIFFERENT = 1
+const EXIT_ERROR = 2
+
+const USAGE = `Gebruik: eisencheck <oud> <nieuw> [opties]
+
+Vergelijkt twee eisenbestanden (.xlsx, .ods, .csv, .tsv) op sleutel.
+
+Opties:
+  -k, --key <kolommen>         Sleutelkolom(men), kommagescheiden (standaard: Eiscode)
+  -c, --cols <kolommen>        Vergelijkkolom(men), kommagescheiden (standaard: EisTekst)
+      --key-new <kolommen>     Sleutelkolom(men) in het nieuwe bestand, als die anders heten
+      --cols-new <kolommen>    Vergelijkkolom(men) in het nieuwe bestand, als die anders heten
+      --context <kolommen>     Contextkolom(men) die worden meegenomen maar niet vergeleken
+  -s, --sheet <namen>          Werkblad(en) om te vergelijken (standaard: eerste werkblad)
+      --sheet-new <namen>      Werkblad(en) in het nieuwe bestand, als die anders heten
+      --header-row <nummer>    Rij met kolomkoppen (standaard: automatisch)
+  -t, --threshold <procent>    Drempel voor dubbele sleutels (standaard: 50)
+  -n, --normalize <opties>     Extra normalisatie: ${NORMALIZATION_OPTIONS.map((option) => option.id).join(', ')} of all
+  -o, --output <bestand>       Schrijf het resultaat naar .xlsx, .json, .csv of .html
+  -q, --quiet                  Geen samenvatting tonen
+  -h, --help                   Deze hulp tonen
+
+Exitcode: 0 = geen verschillen, 1 = verschillen gevonden, 2 = fout.`
+
+const OUTPUT_WRITERS = {
+  '.xlsx': async (results) => Buffer.from(await buildReportWorkbook(results).xlsx.writeBuffer()),
+  '.json': (results) =>
+    buildJsonExport({
+      results,
+      settings: results.settings,
+      meta: { ...results.meta, generatedAt: new Date().toISOString() },
+    }),
+  '.csv': (results) => buildCsvExport({ results, labels: results.labels }),
+  '.html': (results) =>
+    buildHtmlReport({
+      results,
+      labels: results.labels,
+      meta: { ...results.meta, generatedAt: new Date().toLocaleString('nl-NL') },
+    }),
+}
+
+const splitList = (values) =>
+  (values ?? [])
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean)
+
+const parseNormalization = (values) => {
+  const ids = splitList(values)
+  const known = NORMALIZATION_OPTIONS.map((option) => option.id)
+  const unknown = ids.filter((id) => id !== 'all' && !known.includes(id))
+  if (unknown.length) throw new Error(`Onbekende normalisatie: ${unknown.join(', ')}`)
+  return Object.fromEntries(known.map((id) => [id, ids.includes('all') || ids.includes(id)]))
+}
+
+const formatSummary = (results) => {
+  const { stats, meta } = results
+  return [
+    `${meta.fileA.name} (${meta.fileA.rows} rijen) -> ${meta.fileB.name} (${meta.fileB.rows} rijen)`,
+    `Ongewijzigd: ${stats.unchanged}`,
+    `Toegevoegd:  ${stats.added}`,
+    `Gewijzigd:   ${stats.changed}`,
+    `Hernummerd:  ${stats.renumbered}`,
+    `Vervallen:   ${stats.removed}`,
+    ...[
+      [meta.fileA.name, results.duplicateKeysA],
+      [meta.fileB.name, results.duplicateKeysB],
+    ]
+      .filter(([, entries]) => entries.length)
+      .map(
+        ([name, entries]) =>
+          `Dubbele sleutels in ${name}: ${entries.map(formatDuplicateKey).join('; ')}`
+      ),
+  ].join('\n')
+}
+
+const run = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      key: { type: 'string', short: 'k', multiple: true },
+      cols: { type: 'string', short: 'c', multiple: true },
+      'key-new': { type: 'string', multiple: true },
+      'cols-new': { type: 'string', multiple: true },
+      context: { type: 'string', multiple: true },
+      sheet: { type: 'string', short: 's', multiple: true },
+      'sheet-new': { type: 'string', multiple: true },
+      'header-row': { type: 'string' },
+      threshold: { type: 'string', short: 't' },
+      normalize: { type: 'string', short: 'n', multiple: true },
+      output: { type: 'string', short: 'o' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) {
+    console.log(USAGE)
+    return EXIT_SAME
+  }
+  if (positionals.length !== 2) throw new Error(`Geef precies twee bestanden op.\n\n${USAGE}`)
+
+  const threshold = Number(values.threshold ?? 50)
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error('De drempel moet een getal tussen 0 en 100 zijn.')
+  }
+  const output = values.output
+  const writer = output ? OUTPUT_WRITERS[extname(output).toLowerCase()] : null
+  if (output && !writer) {
+    throw new Error(`Onbekend uitvoerformaat: ${output} (gebruik .xlsx, .json, .csv of .html)`)
+  }
+
+  const [fileA, fileB] = positionals
+  const [bufferA, bufferB] = await Promise.all([readFile(fileA), readFile(fileB)])
+  const keyColumns = splitList(values.key)
+  const compareColumns = splitList(values.cols)
+  const sheets = splitList(values.sheet)
+  const results = await compareWorkbooks(bufferA, bufferB, {
+    ...(keyColumns.length ? { keyColumns } : {}),
+    ...(compareColumns.length ? { compareColumns } : {}),
+    ...(values['key-new'] ? { keyColumnsB: splitList(values['key-new']) } : {}),
+    ...(values['cols-new'] ? { compareColumnsB: splitList(values['cols-new']) } : {}),
+    contextColumns: splitList(values.context),
+    sheetsA: sheets,
+    sheetsB: values['sheet-new'] ? splitList(values['sheet-new']) : sheets,
+    range: { headerRow: values['header-row'] ?? '' },
+    similarityThreshold: threshold,
+    normalization: parseNormalization(values.normalize),
+    fileNameA: basename(fileA),
+    fileNameB: basename(fileB),
+  })
+
+  if (output) await writeFile(output, await writer(results))
+  if (!values.quiet) {
+    console.log(formatSummary(results))
+    if (output) console.log(`Resultaat geschreven naar ${output}`)
+  }
+  return hasDifferences(results) ? EXIT_DIFFERENT : EXIT_SAME
+}
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code
+  },
+  (err) => {
+    console.error(`eisencheck: ${err instanceof Error ? err.message : String(err)}`)
+    process.exitCode = EXIT_ERROR
+  }
+)
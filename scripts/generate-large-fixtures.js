@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+import ExcelJS from 'exceljs'
+import { mkdir, readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { parseArgs } from 'node:util'
+import { compareWorkbooks } from '../src/headless.js'
+
+const USAGE = `Gebruik: node scripts/generate-large-fixtures.js [map] [--rows <aantal>]
+
+Maakt oud.xlsx en nieuw.xlsx met veel eisen (standaard 20000) om de weergave van grote
+vergelijkingen te meten, en toont hoe lang de vergelijking zelf duurt.`
+
+const WORDS = [
+  'de',
+  'installatie',
+  'moet',
+  'voldoen',
+  'aan',
+  'brandwerendheid',
+  'minimaal',
+  'conform',
+  'bijlage',
+  'kunstwerk',
+  'verlichting',
+  'pomp',
+  'capaciteit',
+  'onderhoud',
+  'bereikbaar',
+  'geluid',
+  'gevel',
+  'fundering',
+]
+const DISCIPLINES = ['Civiel', 'Elektra', 'Werktuigbouw', 'Bouwkunde']
+
+const requirementText = (index) =>
+  Array.from(
+    { length: 12 + (index % 20) },
+    (_, word) => WORDS[(index * 7 + word * 3) % WORDS.length]
+  )
+    .concat(`${index}`)
+    .join(' ')
+
+const writeRequirements = async (path, rows) => {
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('Eisen')
+  sheet.addRow(['Eiscode', 'EisTekst', 'Discipline'])
+  rows.forEach((row) => sheet.addRow(row))
+  await workbook.xlsx.writeFile(path)
+}
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { rows: { type: 'string', default: '20000' }, help: { type: 'boolean', short: 'h' } },
+  })
+  if (values.help) {
+    console.log(USAGE)
+    return
+  }
+  const count = Number(values.rows)
+  if (!Number.isInteger(count) || count < 1) throw new Error('Geef een geldig aantal rijen op.')
+  const directory = positionals[0] ?? '.'
+  await mkdir(directory, { recursive: true })
+
+  const oldRows = Array.from({ length: count }, (_, index) => [
+    `E${index + 1}`,
+    requirementText(index),
+    DISCIPLINES[index % DISCIPLINES.length],
+  ])
+  // Roughly 10% changed, 2% removed, 2% added and 1% renumbered.
+  const newRows = oldRows.flatMap(([key, text, discipline], index) => {
+    if (index % 50 === 1) return []
+    if (index % 100 === 2) return [[`N${index + 1}`, text, discipline]]
+    if (index % 10 === 3) return [[key, `${text} en aantoonbaar`, discipline]]
+    return [[key, text, discipline]]
+  })
+  for (let index = 0; index < count / 50; index += 1) {
+    newRows.push([
+      `X${index + 1}`,
+      `Nieuwe eis ${index} ${requirementText(index + count)}`,
+      'Civiel',
+    ])
+  }
+
+  const oldPath = join(directory, 'oud.xlsx')
+  const newPath = join(directory, 'nieuw.xlsx')
+  await writeRequirements(oldPath, oldRows)
+  await writeRequirements(newPath, newRows)
+  console.log(`${oldPath}: ${oldRows.length} eisen`)
+  console.log(`${newPath}: ${newRows.length} eisen`)
+
+  const [oldBuffer, newBuffer] = await Promise.all([readFile(oldPath), readFile(newPath)])
+  const started = performance.now()
+  const results = await compareWorkbooks(oldBuffer, newBuffer)
+  const duration = Math.round(performance.now() - started)
+  console.log(
+    `Inlezen en vergelijken: ${duration} ms (${results.rows.length} rijen in de resultaten)`
+  )
+}
+
+main().catch((err) => {
+  console.error(err instanceof Error ? err.message : String(err))
+  process.exitCode = 1
+})
@@ -1,154 +1,156 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-import ExcelJS from 'exceljs'
+import { cloneElement, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import {
+  DEFAULT_NORMALIZATION,
+  LEGEND_ITEMS,
+  NORMALIZATION_OPTIONS,
+  SHEET_MODE_COMBINE,
+  SHEET_MODE_PAIRWISE,
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_REMOVED,
+  STATUS_RENUMBERED,
+  STATUS_UNCHANGED,
+  combineSheets,
+  compareHeaders,
+  formatDuplicateKey,
+  formatHistoryStep,
+  formatRowLocation,
+  formatSimilarity,
+  listDataQualityIssues,
+  normalizeVisible,
+  spansSheets,
+  suggestColumnMapping,
+} from './engine.js'
+import { createEngineClient, isCancelled } from './engineClient.js'
+import {
+  loadProfiles,
+  normalizeProfile,
+  parseProfilesFile,
+  resolveColumnMapping,
+  resolveHeaderNames,
+  resolveSheetNames,
+  saveProfiles,
+  serializeProfiles,
+  upsertProfiles,
+} from './profiles.js'
+import {
+  REVIEW_DECISIONS,
+  REVIEW_REASSESS,
+  carryForwardReviews,
+  countReviews,
+  hasReview,
+  isReviewable,
+  loadReviews,
+  reviewKey,
+  saveReview,
+  saveReviews,
+} from './reviews.js'
 import './App.css'
 
-const STATUS_UNCHANGED = 'Ongewijzigd'
-const STATUS_ADDED = 'Toegevoegd'
-const STATUS_CHANGED = 'Gewijzigd'
+const STATUS_CLASS_NAMES = {
+  [STATUS_UNCHANGED]: 'status-unchanged',
+  [STATUS_ADDED]: 'status-added',
+  [STATUS_CHANGED]: 'status-changed',
+  [STATUS_RENUMBERED]: 'status-renumbered',
+  [STATUS_REMOVED]: 'status-removed',
+}
 
-const LEGEND_ITEMS = [
-  { status: STATUS_UNCHANGED, color: 'green', note: 'Niets veranderd' },
-  { status: STATUS_ADDED, color: 'yellow', note: 'Nieuw toegevoegd in bestand 2' },
-  { status: STATUS_CHANGED, color: 'orange', note: 'Waarde gewijzigd t.o.v. bestand 1' },
+const STAT_CARDS = [
+  {
+    status: STATUS_UNCHANGED,
+    statKey: 'unchanged',
+    label: 'Ongewijzigd',
+    note: 'Bestanden matchen exact',
+  },
+  { status: STATUS_ADDED, statKey: 'added', label: 'Toegevoegd', note: 'Alleen in bestand 2' },
+  {
+    status: STATUS_CHANGED,
+    statKey: 'changed',
+    label: 'Gewijzigd',
+    note: 'Zelfde sleutel, andere waarde',
+  },
+  {
+    status: STATUS_RENUMBERED,
+    statKey: 'renumbered',
+    label: 'Hernummerd',
+    note: 'Zelfde tekst, andere sleutel',
+  },
+  {
+    status: STATUS_REMOVED,
+    statKey: 'removed',
+    label: 'Vervallen eisen',
+    note: 'Alleen in bestand 1',
+  },
 ]
 
-const normalizeVisible = (value) =>
-  String(value ?? '')
-    .replace(/[\u200B-\u200D\uFEFF]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-
-const getCellText = (cell) => {
-  if (!cell) return ''
-  if (cell.text != null && String(cell.text).trim() !== '') return String(cell.text)
-  const value = cell.value
-  if (value == null) return ''
-  if (typeof value === 'object' && value.richText) {
-    return value.richText.map((part) => part.text).join('')
-  }
-  if (value instanceof Date) return value.toISOString()
-  return String(value)
-}
+const STATUS_PILLS = [
+  { status: STATUS_UNCHANGED, color: 'green', label: 'Groen: niets veranderd' },
+  { status: STATUS_ADDED, color: 'yellow', label: 'Geel: toegevoegd' },
+  { status: STATUS_CHANGED, color: 'orange', label: 'Oranje: gewijzigd' },
+  { status: STATUS_RENUMBERED, color: 'blue', label: 'Blauw: hernummerd' },
+  { status: STATUS_REMOVED, color: 'red', label: 'Rood: vervallen' },
+]
 
-const parseSheet = (sheet) => {
-  const headerRow = sheet.getRow(1)
-  const maxColumns = Math.max(headerRow.cellCount, headerRow.actualCellCount)
-  const headerValues = []
-  for (let col = 1; col <= maxColumns; col += 1) {
-    headerValues[col - 1] = getCellText(headerRow.getCell(col))
-  }
-  while (headerValues.length && normalizeVisible(headerValues[headerValues.length - 1]) === '') {
-    headerValues.pop()
-  }
-  const headers = headerValues.map((value) => String(value ?? ''))
-  const rows = []
-  for (let rowIndex = 2; rowIndex <= sheet.rowCount; rowIndex += 1) {
-    const row = sheet.getRow(rowIndex)
-    const values = []
-    let hasContent = false
-    for (let col = 1; col <= headers.length; col += 1) {
-      const text = getCellText(row.getCell(col))
-      values.push(text)
-      if (normalizeVisible(text) !== '') {
-        hasContent = true
-      }
-    }
-    if (hasContent) rows.push(values)
-  }
-  return { headers, rows }
-}
+const rowSearchText = (row) =>
+  [
+    ...row.keyParts,
+    ...(row.oldKeyParts ?? []),
+    ...row.oldValues,
+    ...(row.newValues ?? []),
+    ...(row.contextValues ?? []),
+    row.sheet ?? '',
+  ]
+    .join('\n')
+    .toLocaleLowerCase('nl')
 
-const buildHeaderCounts = (headers) => {
-  const counts = new Map()
-  headers
-    .map((header) => normalizeVisible(header))
-    .filter((header) => header !== '')
-    .forEach((header) => {
-      counts.set(header, (counts.get(header) ?? 0) + 1)
-    })
-  return counts
+const filterResultRows = (rows, filters) => {
+  const search = normalizeVisible(filters.search).toLocaleLowerCase('nl')
+  return rows.filter((row) => {
+    if (filters.onlyDifferences && row.status === STATUS_UNCHANGED) return false
+    if (row.status && filters.statuses.length && !filters.statuses.includes(row.status)) {
+      return false
+    }
+    if (search && !normalizeVisible(rowSearchText(row)).includes(search)) return false
+    return true
+  })
 }
 
-const compareHeaders = (headersA, headersB) => {
-  const countsA = buildHeaderCounts(headersA)
-  const countsB = buildHeaderCounts(headersB)
-  const missingInA = []
-  const missingInB = []
-  for (const [header, countB] of countsB.entries()) {
-    const countA = countsA.get(header) ?? 0
-    if (countA < countB) missingInA.push(header)
-  }
-  for (const [header, countA] of countsA.entries()) {
-    const countB = countsB.get(header) ?? 0
-    if (countB < countA) missingInB.push(header)
-  }
-  return {
-    ok: missingInA.length === 0 && missingInB.length === 0,
-    missingInA,
-    missingInB,
-  }
+const getSortValue = (row, column) => {
+  const [field, index] = column.split(':')
+  if (field === 'sheet') return row.sheet ?? ''
+  if (field === 'key') return row.keyParts[Number(index)] ?? ''
+  if (field === 'prevKey') return row.oldKeyParts?.[Number(index)] ?? ''
+  if (field === 'old') return row.oldValues[Number(index)] ?? ''
+  if (field === 'new') return row.newValues?.[Number(index)] ?? ''
+  if (field === 'context') return row.contextValues?.[Number(index)] ?? ''
+  if (field === 'similarity') return row.similarity ?? -1
+  if (field === 'status') return row.status ?? ''
+  if (field === 'rowA') return row.locationA?.row ?? -1
+  if (field === 'rowB') return row.locationB?.row ?? -1
+  return ''
 }
 
-const buildIndex = (rows, keyIndex, valueIndexes) => {
-  const map = new Map()
-  const keyOrder = []
-  const duplicates = new Set()
-  let emptyKeys = 0
-  rows.forEach((row, idx) => {
-    const rawKey = row[keyIndex] ?? ''
-    const normKey = normalizeVisible(rawKey)
-    if (!normKey) {
-      emptyKeys += 1
-      return
-    }
-    if (!map.has(normKey)) {
-      map.set(normKey, [])
-      keyOrder.push(normKey)
-    }
-    const list = map.get(normKey)
-    if (list.length) duplicates.add(normKey)
-    const rawValues = valueIndexes.map((valueIndex) => String(row[valueIndex] ?? ''))
-    const normValues = valueIndexes.map((valueIndex) => normalizeVisible(row[valueIndex] ?? ''))
-    list.push({
-      rawKey: String(rawKey ?? ''),
-      rawValues,
-      normValues,
-      normValueKey: JSON.stringify(normValues),
-      rowIndex: idx + 2,
-    })
-  })
-  return { map, keyOrder, duplicates, emptyKeys }
-}
+const sortCollator = new Intl.Collator('nl', { numeric: true, sensitivity: 'base' })
 
-const matchByValue = (listA, listB) => {
-  const queuesA = new Map()
-  listA.forEach((item) => {
-    const queue = queuesA.get(item.normValueKey) ?? []
-    queue.push(item)
-    queuesA.set(item.normValueKey, queue)
-  })
-  const matched = []
-  const remainingB = []
-  listB.forEach((item) => {
-    const queue = queuesA.get(item.normValue)
-    if (queue && queue.length) {
-      matched.push({ a: queue.shift(), b: item })
-    } else {
-      remainingB.push(item)
-    }
+const sortResultRows = (rows, sort) => {
+  if (!sort) return rows
+  const direction = sort.direction === 'desc' ? -1 : 1
+  return [...rows].sort((left, right) => {
+    const a = getSortValue(left, sort.column)
+    const b = getSortValue(right, sort.column)
+    const order =
+      typeof a === 'number' && typeof b === 'number'
+        ? a - b
+        : sortCollator.compare(String(a), String(b))
+    return order * direction
   })
-  const remainingA = []
-  for (const queue of queuesA.values()) {
-    remainingA.push(...queue)
-  }
-  return { matched, remainingA, remainingB }
 }
 
-const pickIndex = (current, headers, fallback) => {
-  if (!headers.length) return ''
-  const maxIndex = headers.length - 1
-  if (current === '' || Number(current) > maxIndex) return String(fallback)
-  return current
+const pickHeaders = (current, headers, fallback) => {
+  const named = headers.filter(Boolean)
+  const picked = current.filter((header) => named.includes(header))
+  if (picked.length || !named.length) return picked
+  return [named[Math.min(fallback, named.length - 1)]]
 }
 
 const pickIndexes = (current, headers, fallback) => {
@@ -164,18 +166,271 @@ const pickIndexes = (current, headers, fallback) => {
   return filtered
 }
 
+const ESTIMATED_ROW_HEIGHT = 44
+const OVERSCAN_PX = 800
+const MIN_COLUMN_WIDTH = 150
+const RESULTS_MARK = 'eisencheck:resultaten'
+const FIRST_PAINT_MEASURE = 'eisencheck:eerste-weergave'
+
+const findRowAt = (offsets, position) => {
+  let low = 0
+  let high = offsets.length - 2
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (offsets[middle] <= position) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return Math.max(low, 0)
+}
+
+function VirtualTable({ rows, columnCount, header, renderRow }) {
+  const containerRef = useRef(null)
+  const bodyRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(420)
+  const [measured, setMeasured] = useState({ rows, heights: new Map() })
+  if (measured.rows !== rows) {
+    setMeasured({ rows, heights: new Map() })
+  }
+  const { heights } = measured
+
+  const offsets = useMemo(() => {
+    const next = new Float64Array(rows.length + 1)
+    for (let index = 0; index < rows.length; index += 1) {
+      next[index + 1] = next[index] + (heights.get(index) ?? ESTIMATED_ROW_HEIGHT)
+    }
+    return next
+  }, [rows, heights])
+
+  const totalHeight = offsets[rows.length]
+  const start = findRowAt(offsets, Math.max(scrollTop - OVERSCAN_PX, 0))
+  const end = Math.min(
+    findRowAt(offsets, scrollTop + viewportHeight + OVERSCAN_PX) + 1,
+    rows.length
+  )
+  const paddingTop = offsets[start]
+  const paddingBottom = totalHeight - offsets[end]
+
+  useLayoutEffect(() => {
+    const container = containerRef.current
+    if (!container) return undefined
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  useLayoutEffect(() => {
+    const body = bodyRef.current
+    if (!body) return undefined
+    const observer = new ResizeObserver((entries) => {
+      const updates = entries
+        .map((entry) => ({
+          index: Number(entry.target.dataset.index),
+          height: entry.target.getBoundingClientRect().height,
+        }))
+        .filter(({ index, height }) => Math.abs((heights.get(index) ?? 0) - height) > 0.5)
+      if (!updates.length) return
+      setMeasured((prev) => {
+        if (prev.rows !== rows) return prev
+        const next = new Map(prev.heights)
+        updates.forEach(({ index, height }) => next.set(index, height))
+        return { rows, heights: next }
+      })
+    })
+    body.querySelectorAll('tr[data-index]').forEach((row) => observer.observe(row))
+    return () => observer.disconnect()
+  }, [rows, heights, start, end])
+
+  return (
+    <div
+      className="compare-table virtual"
+      ref={containerRef}
+      onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+    >
+      <table style={{ minWidth: `${columnCount * MIN_COLUMN_WIDTH}px` }}>
+        <thead>{header}</thead>
+        <tbody ref={bodyRef}>
+          {paddingTop > 0 ? (
+            <tr className="virtual-spacer" aria-hidden="true">
+              <td colSpan={columnCount} style={{ height: `${paddingTop}px` }} />
+            </tr>
+          ) : null}
+          {rows
+            .slice(start, end)
+            .map((row, offset) =>
+              cloneElement(renderRow(row, start + offset), { 'data-index': start + offset })
+            )}
+          {paddingBottom > 0 ? (
+            <tr className="virtual-spacer" aria-hidden="true">
+              <td colSpan={columnCount} style={{ height: `${paddingBottom}px` }} />
+            </tr>
+          ) : null}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+const COMMENT_SAVE_DELAY_MS = 800
+
+// Keeps the comment local while typing and saves it after a pause, on blur or when the row
+// scrolls out of the virtual table.
+function ReviewComment({ comment, onSave, label }) {
+  const [draft, setDraft] = useState(null)
+  const pendingRef = useRef(null)
+  const timerRef = useRef(null)
+  const saveRef = useRef(onSave)
+  useEffect(() => {
+    saveRef.current = onSave
+  })
+  useEffect(
+    () => () => {
+      clearTimeout(timerRef.current)
+      if (pendingRef.current !== null) saveRef.current(pendingRef.current)
+    },
+    []
+  )
+
+  const flush = () => {
+    clearTimeout(timerRef.current)
+    if (pendingRef.current === null) return
+    const value = pendingRef.current
+    pendingRef.current = null
+    saveRef.current(value)
+    setDraft(null)
+  }
+
+  const change = (value) => {
+    pendingRef.current = value
+    setDraft(value)
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(flush, COMMENT_SAVE_DELAY_MS)
+  }
+
+  return (
+    <input
+      className="review-comment"
+      type="text"
+      value={draft ?? comment}
+      onChange={(event) => change(event.target.value)}
+      onBlur={flush}
+      aria-label={label}
+    />
+  )
+}
+
+const EMPTY_RANGE = { headerRow: '', lastRow: '', stopMarker: '' }
+const RANGE_DEBOUNCE_MS = 400
+
+const ACCEPTED_FILES = '.xlsx,.ods,.csv,.tsv,.txt'
+
+const EXPORT_PHASES = [
+  { id: 'rows', label: 'Rijen opbouwen' },
+  { id: 'write', label: 'Excel-bestand schrijven' },
+]
+
+const TASK_PHASES = {
+  read: [
+    { id: 'load', label: 'Bestand openen' },
+    { id: 'sheets', label: 'Werkbladen lezen' },
+    { id: 'parse', label: 'Rijen inlezen' },
+  ],
+  reparse: [{ id: 'parse', label: 'Rijen inlezen' }],
+  compare: [
+    { id: 'indexA', label: 'Bestand 1 indexeren' },
+    { id: 'indexB', label: 'Bestand 2 indexeren' },
+    { id: 'match', label: 'Eisen koppelen' },
+  ],
+  export: EXPORT_PHASES,
+  annotate: [
+    { id: 'load', label: 'Bestand 2 openen' },
+    { id: 'rows', label: 'Rijen markeren' },
+    { id: 'write', label: 'Excel-bestand schrijven' },
+  ],
+  json: [{ id: 'rows', label: 'JSON opbouwen' }],
+  csv: [{ id: 'rows', label: 'CSV opbouwen' }],
+  report: [{ id: 'rows', label: 'Rapport opbouwen' }],
+  reviewImport: [
+    { id: 'load', label: 'Bestand openen' },
+    { id: 'sheets', label: 'Werkbladen lezen' },
+  ],
+  history: [{ id: 'steps', label: 'Revisies vergelijken' }],
+  historyExport: EXPORT_PHASES,
+}
+
+const engine = createEngineClient()
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.rel = 'noopener'
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const datedFileName = (suffix, extension) => {
+  const date = new Date().toISOString().slice(0, 10)
+  return `eisencheck_${date}${suffix ? `_${suffix}` : ''}.${extension}`
+}
+
+const toXlsxBlob = (buffer) =>
+  new Blob([buffer], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  })
+
+const saveWorkbook = (buffer, suffix) => {
+  downloadBlob(toXlsxBlob(buffer), datedFileName(suffix, 'xlsx'))
+}
+
+const DATA_EXPORTS = {
+  json: { title: 'JSON-export maken', mimeType: 'application/json' },
+  csv: { title: 'CSV-export maken', mimeType: 'text/csv;charset=utf-8' },
+}
+
 function App() {
-  const [dataA, setDataA] = useState(null)
-  const [dataB, setDataB] = useState(null)
+  const [sourceA, setSourceA] = useState(null)
+  const [sourceB, setSourceB] = useState(null)
+  const [fileA, setFileA] = useState(null)
+  const [fileB, setFileB] = useState(null)
+  const [rangeA, setRangeA] = useState(EMPTY_RANGE)
+  const [rangeB, setRangeB] = useState(EMPTY_RANGE)
+  const [sheetSelA, setSheetSelA] = useState([])
+  const [sheetSelB, setSheetSelB] = useState([])
+  const [sheetMode, setSheetMode] = useState(SHEET_MODE_COMBINE)
   const [error, setError] = useState('')
-  const [keyColA, setKeyColA] = useState('')
-  const [keyColB, setKeyColB] = useState('')
+  const [keyColA, setKeyColA] = useState([])
+  const [keyColB, setKeyColB] = useState([])
   const [compareColA, setCompareColA] = useState([])
-  const [compareColB, setCompareColB] = useState([])
+  const [contextColB, setContextColB] = useState([])
+  const [columnOverrides, setColumnOverrides] = useState({})
+  const [similarityThreshold, setSimilarityThreshold] = useState(50)
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION)
   const [results, setResults] = useState(null)
+  const [reviews, setReviews] = useState({})
+  const [reviewNotice, setReviewNotice] = useState('')
+  const [includeSources, setIncludeSources] = useState(false)
   const [activeTab, setActiveTab] = useState('result')
+  const [statusFilter, setStatusFilter] = useState([])
+  const [searchText, setSearchText] = useState('')
+  const [onlyDifferences, setOnlyDifferences] = useState(false)
+  const [sortConfig, setSortConfig] = useState(null)
   const [draggingA, setDraggingA] = useState(false)
   const [draggingB, setDraggingB] = useState(false)
+  const [task, setTask] = useState(null)
+  const [pendingRanges, setPendingRanges] = useState({ A: false, B: false })
+  const [profiles, setProfiles] = useState(loadProfiles)
+  const [activeProfile, setActiveProfile] = useState(null)
+  const [profileName, setProfileName] = useState('')
+  const [revisions, setRevisions] = useState([])
+  const [historyKeyCols, setHistoryKeyCols] = useState([])
+  const [historyValueCols, setHistoryValueCols] = useState([])
+  const [history, setHistory] = useState(null)
+  const [historyError, setHistoryError] = useState('')
   const [showHelp, setShowHelp] = useState(false)
   const [helpItems, setHelpItems] = useState([])
   const [isHelpCompact, setIsHelpCompact] = useState(false)
@@ -184,12 +439,47 @@ function App() {
   const columnsRef = useRef(null)
   const compareRef = useRef(null)
   const resultsRef = useRef(null)
+  const parseRequestsRef = useRef({ A: 0, B: 0 })
+  const rangeTimersRef = useRef({ A: null, B: null })
+  const runningTasksRef = useRef(0)
+
+  const rangePending = pendingRanges.A || pendingRanges.B
+
+  const dataA = useMemo(() => combineSheets(fileA, sheetSelA), [fileA, sheetSelA])
+  const dataB = useMemo(() => combineSheets(fileB, sheetSelB), [fileB, sheetSelB])
+
+  const columnSuggestions = useMemo(() => {
+    if (!dataA || !dataB) return { mapping: {}, scores: {} }
+    return suggestColumnMapping(dataA.headers, dataB.headers)
+  }, [dataA, dataB])
+  const columnMapping = { ...columnSuggestions.mapping, ...columnOverrides }
+  const compareColB = compareColA.map((index) => columnMapping[index] ?? '')
+  const contextColA = contextColB.map(
+    (indexB) => Object.keys(columnMapping).find((indexA) => columnMapping[indexA] === indexB) ?? ''
+  )
 
   const headerCheck = useMemo(() => {
     if (!dataA || !dataB) return null
     return compareHeaders(dataA.headers, dataB.headers)
   }, [dataA, dataB])
 
+  // Time from receiving the results to the first frame with the table, see "Prestaties meten".
+  // Animation frame callbacks run before the frame is painted, so measure from a task queued there.
+  useEffect(() => {
+    if (!results || !performance.getEntriesByName(RESULTS_MARK).length) return undefined
+    let timer = null
+    const frame = requestAnimationFrame(() => {
+      timer = setTimeout(() => {
+        performance.measure(FIRST_PAINT_MEASURE, RESULTS_MARK)
+        performance.clearMarks(RESULTS_MARK)
+      }, 0)
+    })
+    return () => {
+      cancelAnimationFrame(frame)
+      clearTimeout(timer)
+    }
+  }, [results])
+
   useEffect(() => {
     if (!showHelp) return
     const buildHelpItems = () => {
@@ -227,7 +517,7 @@ function App() {
         nextItems.push({
           id: 'uploads',
           title: 'Stap 1: Upload',
-          body: 'Upload het oude en nieuwe Excel-bestand (.xlsx).',
+          body: 'Upload het oude en nieuwe bestand (.xlsx, .ods, .csv of .tsv).',
           ...(compact
             ? {}
             : {
@@ -320,60 +610,284 @@ function App() {
     }
   }, [showHelp])
 
-  const loadFile = async (file, side) => {
-    if (!file) return
-    setError('')
+  const selectColumns = (side, headers, profile) => {
+    const compareFallback = headers.length > 1 ? 1 : 0
+    const byName = (names) => (profile ? resolveHeaderNames(headers, names) : null)
+    if (side === 'A') {
+      setKeyColA((prev) => byName(profile?.keyColumns.A) ?? pickIndexes(prev, headers, 0))
+      setCompareColA(
+        (prev) =>
+          byName(profile?.compareColumns.map((pair) => pair.A)) ??
+          pickIndexes(prev, headers, compareFallback)
+      )
+    } else {
+      setKeyColB((prev) => byName(profile?.keyColumns.B) ?? pickIndexes(prev, headers, 0))
+      setContextColB((prev) =>
+        profile
+          ? (byName(profile.contextColumns) ?? [])
+          : prev.filter((index) => Number(index) < headers.length)
+      )
+    }
+  }
+
+  const applySheetSelection = (side, file, selection) => {
+    const headers = combineSheets(file, selection)?.headers ?? []
+    if (side === 'A') {
+      setSheetSelA(selection)
+    } else {
+      setSheetSelB(selection)
+    }
+    selectColumns(side, headers, activeProfile)
+    setColumnOverrides(
+      activeProfile
+        ? resolveColumnMapping(
+            activeProfile,
+            side === 'A' ? headers : dataA?.headers,
+            side === 'B' ? headers : dataB?.headers
+          )
+        : {}
+    )
+  }
+
+  const changeSheetSelection = (side, selection) => {
+    if (!selection.length) return
     setResults(null)
+    applySheetSelection(side, side === 'A' ? fileA : fileB, selection)
+  }
+
+  const runTask = async (type, title, payload, transfer) => {
+    const token = {}
+    setTask({ token, type, title, progress: {} })
+    runningTasksRef.current += 1
     try {
-      const workbook = new ExcelJS.Workbook()
-      const buffer = await file.arrayBuffer()
-      await workbook.xlsx.load(buffer)
-      const sheet = workbook.worksheets[0]
-      if (!sheet) throw new Error('Geen werkblad gevonden in het bestand.')
-      const parsed = parseSheet(sheet)
-      if (!parsed.headers.length) {
-        throw new Error('Geen headers gevonden in de eerste rij.')
+      return await engine.run(type, payload, {
+        transfer,
+        onProgress: (phase, value) =>
+          setTask((prev) =>
+            prev?.token === token
+              ? { ...prev, progress: { ...prev.progress, [phase]: value } }
+              : prev
+          ),
+      })
+    } finally {
+      runningTasksRef.current -= 1
+      setTask((prev) => (prev?.token === token ? null : prev))
+    }
+  }
+
+  const sourceReference = (side) => {
+    const source = side === 'A' ? sourceA : sourceB
+    return { slot: side, id: source.id, file: source.file }
+  }
+
+  const reparseSource = async (side, range) => {
+    if (!(side === 'A' ? sourceA : sourceB)) return null
+    parseRequestsRef.current[side] += 1
+    const request = parseRequestsRef.current[side]
+    try {
+      const parsed = await runTask(
+        'reparse',
+        `${(side === 'A' ? sourceA : sourceB).fileName} opnieuw inlezen`,
+        { ...sourceReference(side), range }
+      )
+      if (request !== parseRequestsRef.current[side]) return null
+      if (side === 'A') {
+        setFileA(parsed)
+      } else {
+        setFileB(parsed)
       }
-      const payload = {
-        fileName: file.name,
-        sheetName: sheet.name || 'Werkblad 1',
-        headers: parsed.headers,
-        rows: parsed.rows,
+      return parsed
+    } catch (err) {
+      if (!isCancelled(err)) setError(err instanceof Error ? err.message : String(err))
+      return null
+    }
+  }
+
+  const cancelRangeChange = (side) => {
+    clearTimeout(rangeTimersRef.current[side])
+    rangeTimersRef.current[side] = null
+    setPendingRanges((prev) => ({ ...prev, [side]: false }))
+  }
+
+  // Reparse once typing pauses, and wait for a running task so reparses never overlap.
+  const scheduleReparse = (side, range, selection) => {
+    clearTimeout(rangeTimersRef.current[side])
+    rangeTimersRef.current[side] = setTimeout(async () => {
+      if (runningTasksRef.current) {
+        scheduleReparse(side, range, selection)
+        return
       }
+      rangeTimersRef.current[side] = null
+      const parsed = await reparseSource(side, range)
+      if (rangeTimersRef.current[side]) return
+      setPendingRanges((prev) => ({ ...prev, [side]: false }))
+      if (parsed) applySheetSelection(side, parsed, selection)
+    }, RANGE_DEBOUNCE_MS)
+  }
+
+  const changeRange = (side, field, value) => {
+    const range = { ...(side === 'A' ? rangeA : rangeB), [field]: value }
+    setResults(null)
+    if (side === 'A') {
+      setRangeA(range)
+    } else {
+      setRangeB(range)
+    }
+    if (!(side === 'A' ? sourceA : sourceB)) return
+    setPendingRanges((prev) => ({ ...prev, [side]: true }))
+    scheduleReparse(side, range, side === 'A' ? sheetSelA : sheetSelB)
+  }
+
+  const readSource = async (file, range, slot = null) => {
+    const id = crypto.randomUUID()
+    const parsed = await runTask('read', `${file.name} inlezen`, { slot, id, file, range })
+    const payload = { id, fileName: file.name, format: parsed.format, file }
+    const firstUsable = parsed.sheets.findIndex((sheet) => sheet.headers.length)
+    if (firstUsable === -1) {
+      throw new Error('Geen headers gevonden in het bestand.')
+    }
+    return { payload, parsed, firstUsable }
+  }
+
+  const loadFile = async (file, side) => {
+    if (!file || task) return
+    setError('')
+    setResults(null)
+    cancelRangeChange(side)
+    parseRequestsRef.current[side] += 1
+    try {
+      const { payload, parsed, firstUsable } = await readSource(
+        file,
+        side === 'A' ? rangeA : rangeB,
+        side
+      )
       if (side === 'A') {
-        setDataA(payload)
-        setKeyColA((prev) => pickIndex(prev, payload.headers, 0))
-        setCompareColA((prev) =>
-          pickIndexes(prev, payload.headers, payload.headers.length > 1 ? 1 : 0)
-        )
+        setSourceA(payload)
+        setFileA(parsed)
       } else {
-        setDataB(payload)
-        setKeyColB((prev) => pickIndex(prev, payload.headers, 0))
-        setCompareColB((prev) =>
-          pickIndexes(prev, payload.headers, payload.headers.length > 1 ? 1 : 0)
-        )
+        setSourceB(payload)
+        setFileB(parsed)
       }
+      const profileSheets = activeProfile
+        ? resolveSheetNames(parsed.sheets, activeProfile.sheets[side])
+        : null
+      applySheetSelection(side, parsed, profileSheets ?? [String(firstUsable)])
     } catch (err) {
+      if (isCancelled(err)) return
       const message = err instanceof Error ? err.message : String(err)
       setError(message)
     }
   }
 
-  const compareSameSelection =
-    compareColA.length > 0 &&
-    compareColB.length > 0 &&
-    compareColA.length === compareColB.length &&
-    compareColA.every((value, index) => value === compareColB[index])
+  const applyProfile = async (profile) => {
+    setActiveProfile(profile)
+    setProfileName(profile.name)
+    setResults(null)
+    setSheetMode(profile.sheetMode)
+    setSimilarityThreshold(profile.similarityThreshold)
+    setNormalization(profile.normalization)
+    setRangeA(profile.ranges.A)
+    setRangeB(profile.ranges.B)
+    cancelRangeChange('A')
+    cancelRangeChange('B')
+    const parsedA = await reparseSource('A', profile.ranges.A)
+    const parsedB = await reparseSource('B', profile.ranges.B)
+    const selectionA = (parsedA && resolveSheetNames(parsedA.sheets, profile.sheets.A)) ?? sheetSelA
+    const selectionB = (parsedB && resolveSheetNames(parsedB.sheets, profile.sheets.B)) ?? sheetSelB
+    const headersA = combineSheets(parsedA, selectionA)?.headers
+    const headersB = combineSheets(parsedB, selectionB)?.headers
+    if (headersA) {
+      setSheetSelA(selectionA)
+      selectColumns('A', headersA, profile)
+    }
+    if (headersB) {
+      setSheetSelB(selectionB)
+      selectColumns('B', headersB, profile)
+    }
+    setColumnOverrides(resolveColumnMapping(profile, headersA, headersB))
+  }
+
+  const chooseProfile = (name) => {
+    const profile = profiles.find((item) => item.name === name)
+    if (profile) {
+      applyProfile(profile)
+    } else {
+      setActiveProfile(null)
+    }
+  }
+
+  const storeProfiles = (next) => {
+    setProfiles(next)
+    saveProfiles(next)
+  }
+
+  const saveProfile = () => {
+    const name = profileName.trim()
+    if (!name) return
+    const headerName = (data, index) => data?.headers[Number(index)] ?? ''
+    const sheetName = (file, index) => file?.sheets[Number(index)]?.name ?? ''
+    const profile = normalizeProfile({
+      name,
+      sheetMode,
+      sheets: {
+        A: sheetSelA.map((index) => sheetName(fileA, index)),
+        B: sheetSelB.map((index) => sheetName(fileB, index)),
+      },
+      ranges: { A: rangeA, B: rangeB },
+      keyColumns: {
+        A: keyColA.map((index) => headerName(dataA, index)),
+        B: keyColB.map((index) => headerName(dataB, index)),
+      },
+      compareColumns: compareColA.map((index, position) => ({
+        A: headerName(dataA, index),
+        B: headerName(dataB, compareColB[position]),
+      })),
+      contextColumns: contextColB.map((index) => headerName(dataB, index)),
+      similarityThreshold,
+      normalization,
+    })
+    storeProfiles(upsertProfiles(profiles, [profile]))
+    setActiveProfile(profile)
+  }
+
+  const deleteProfile = () => {
+    if (!activeProfile) return
+    storeProfiles(profiles.filter((profile) => profile.name !== activeProfile.name))
+    setActiveProfile(null)
+  }
+
+  const exportProfiles = () => {
+    const blob = new Blob([serializeProfiles(profiles)], { type: 'application/json' })
+    downloadBlob(blob, 'eisencheck_profielen.json')
+  }
+
+  const importProfiles = async (file) => {
+    if (!file) return
+    setError('')
+    try {
+      storeProfiles(upsertProfiles(profiles, parseProfilesFile(await file.text())))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const compareMapped = compareColB.every((value) => value !== '')
   const canCompare =
     dataA &&
     dataB &&
-    headerCheck?.ok &&
-    keyColA !== '' &&
-    keyColB !== '' &&
-    compareSameSelection
-  const compareMismatch =
-    compareColA.length > 0 && compareColB.length > 0 && !compareSameSelection
+    keyColA.length > 0 &&
+    keyColA.length === keyColB.length &&
+    compareColA.length > 0 &&
+    compareMapped
+  const compareMismatch = compareColA.length > 0 && !compareMapped
 
+  const keyHeaderLabels = dataB
+    ? keyColB.map((index) => dataB.headers[Number(index)] || 'Eiscode')
+    : ['Eiscode']
+  const previousKeyHeaderLabels = keyHeaderLabels.map((label) => `Vorige ${label}`)
+  const removedKeyHeaderLabels = dataA
+    ? keyColA.map((index) => dataA.headers[Number(index)] || 'Eiscode')
+    : ['Eiscode']
   const oldHeaderLabels = dataA
     ? compareColA.map(
         (index) => `${dataA.headers[Number(index)] || 'EisTekst'} [Oud]`
@@ -385,245 +899,605 @@ function App() {
       )
     : []
 
-  const runCompare = () => {
+  const compareColumnNames = dataB
+    ? compareColB.map((index) => dataB.headers[Number(index)] || 'EisTekst')
+    : []
+  const contextColumnNames = dataB
+    ? contextColB.map((index) => dataB.headers[Number(index)] || `(kolom ${Number(index) + 1})`)
+    : []
+
+  const runCompare = async () => {
     if (!dataA || !dataB) return
-    if (!headerCheck?.ok) return
     setError('')
-    const keyIndexA = Number(keyColA)
-    const keyIndexB = Number(keyColB)
+    const keyIndexesA = keyColA.map((value) => Number(value))
+    const keyIndexesB = keyColB.map((value) => Number(value))
     const valueIndexesA = compareColA.map((value) => Number(value))
     const valueIndexesB = compareColB.map((value) => Number(value))
     if (
-      [keyIndexA, keyIndexB, ...valueIndexesA, ...valueIndexesB].some((val) =>
+      [...keyIndexesA, ...keyIndexesB, ...valueIndexesA, ...valueIndexesB].some((val) =>
         Number.isNaN(val)
       )
     ) {
       setError('Selecteer geldige kolommen om te vergelijken.')
       return
     }
+    if (!keyIndexesA.length || keyIndexesA.length !== keyIndexesB.length) {
+      setError('Kies hetzelfde aantal sleutelkolommen in beide bestanden.')
+      return
+    }
     if (valueIndexesA.length !== valueIndexesB.length) {
       setError('Kies hetzelfde aantal vergelijkkolommen in beide bestanden.')
       return
     }
-    if (!compareSameSelection) {
-      setError('Selecteer dezelfde kolommen in beide bestanden.')
+    if (!compareMapped) {
+      setError('Koppel elke vergelijkkolom aan een kolom in bestand 2.')
       return
     }
-    const indexA = buildIndex(dataA.rows, keyIndexA, valueIndexesA)
-    const indexB = buildIndex(dataB.rows, keyIndexB, valueIndexesB)
-
-    const rows = []
-    const removed = []
-    let unchangedCount = 0
-    let addedCount = 0
-    let changedCount = 0
-
-    const keysFromB = indexB.keyOrder
-    const keysFromA = indexA.keyOrder.filter((key) => !indexB.map.has(key))
-    const allKeys = [...keysFromB, ...keysFromA]
-
-    allKeys.forEach((key) => {
-      const listA = indexA.map.get(key) ?? []
-      const listB = indexB.map.get(key) ?? []
-      if (!listA.length && listB.length) {
-        listB.forEach((item) => {
-          rows.push({
-            status: STATUS_ADDED,
-            key: item.rawKey,
-            oldValues: valueIndexesA.map(() => ''),
-            newValues: item.rawValues,
-          })
-          addedCount += 1
-        })
-        return
-      }
-      if (!listB.length && listA.length) {
-        listA.forEach((item) => {
-          removed.push({
-            key: item.rawKey,
-            oldValues: item.rawValues,
-          })
-        })
-        return
-      }
+    const settings = {
+      keyIndexesA,
+      keyIndexesB,
+      valueIndexesA,
+      valueIndexesB,
+      contextIndexesA: contextColA.map((value) => (value === '' ? -1 : Number(value))),
+      contextIndexesB: contextColB.map((value) => Number(value)),
+      similarityThreshold,
+      normalization,
+    }
+    let result
+    try {
+      result = await runTask(
+        'compare',
+        'Bestanden vergelijken',
+        sheetMode === SHEET_MODE_PAIRWISE
+          ? {
+              mode: sheetMode,
+              fileA,
+              fileB,
+              selectionA: sheetSelA,
+              selectionB: sheetSelB,
+              settings,
+            }
+          : { mode: sheetMode, dataA, dataB, settings }
+      )
+    } catch (err) {
+      if (!isCancelled(err)) setError(err instanceof Error ? err.message : String(err))
+      return
+    }
+    if (result.sheetBreakdown && !result.sheetBreakdown.length) {
+      setError('Geen werkbladen met dezelfde naam en kolommen gevonden om te vergelijken.')
+      return
+    }
+    performance.mark(RESULTS_MARK)
+    setResults({
+      ...result,
+      similarityThreshold,
+      normalization,
+      columnNames: compareColumnNames,
+      contextNames: contextColumnNames,
+      labels: {
+        keys: keyHeaderLabels,
+        previousKeys: previousKeyHeaderLabels,
+        removedKeys: removedKeyHeaderLabels,
+        old: oldHeaderLabels,
+        new: newHeaderLabels,
+      },
+      settings: {
+        sheetMode,
+        keyColumns: { old: removedKeyHeaderLabels, new: keyHeaderLabels },
+        compareColumns: compareColA.map((index, position) => ({
+          old: dataA.headers[Number(index)] ?? '',
+          new: dataB.headers[Number(compareColB[position])] ?? '',
+        })),
+      },
+    })
+    setActiveTab('result')
+    setReviews({})
+    setReviewNotice('')
+    try {
+      setReviews(await loadReviews(dataA.fileName, dataB.fileName))
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err)
+      setError(`Beoordelingen konden niet worden geladen: ${message}`)
+    }
+  }
 
-      const matched = matchByValue(listA, listB)
-      matched.matched.forEach(({ a, b }) => {
-        rows.push({
-          status: STATUS_UNCHANGED,
-          key: b.rawKey || a.rawKey,
-          oldValues: a.rawValues,
-          newValues: b.rawValues,
-        })
-        unchangedCount += 1
-      })
+  const importReviews = async (file) => {
+    if (!file || !results || !dataA || !dataB || task) return
+    setError('')
+    setReviewNotice('')
+    try {
+      const buffer = await file.arrayBuffer()
+      const entries = await runTask(
+        'reviewImport',
+        `${file.name} inlezen`,
+        { buffer, fileName: file.name },
+        [buffer]
+      )
+      const carried = carryForwardReviews(results.rows, entries, reviews)
+      setReviews((prev) => ({ ...prev, ...carried.reviews }))
+      await saveReviews(dataA.fileName, dataB.fileName, carried.reviews)
+      setReviewNotice(
+        `${carried.kept} beoordelingen overgenomen uit ${file.name}, ${carried.reassess} eisen opnieuw te beoordelen.`
+      )
+    } catch (err) {
+      if (isCancelled(err)) return
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
 
-      const remainingA = [...matched.remainingA]
-      const remainingB = [...matched.remainingB]
-      while (remainingA.length && remainingB.length) {
-        const a = remainingA.shift()
-        const b = remainingB.shift()
-        rows.push({
-          status: STATUS_CHANGED,
-          key: b.rawKey || a.rawKey,
-          oldValues: a.rawValues,
-          newValues: b.rawValues,
-        })
-        changedCount += 1
-      }
-      remainingB.forEach((item) => {
-        rows.push({
-          status: STATUS_ADDED,
-          key: item.rawKey,
-          oldValues: valueIndexesA.map(() => ''),
-          newValues: item.rawValues,
-        })
-        addedCount += 1
-      })
-      remainingA.forEach((item) => {
-        removed.push({
-          key: item.rawKey,
-          oldValues: item.rawValues,
-        })
-      })
+  const updateReview = (row, patch) => {
+    const key = reviewKey(row)
+    const review = { decision: '', comment: '', ...reviews[key], ...patch }
+    setReviews((prev) => ({ ...prev, [key]: review }))
+    saveReview(dataA.fileName, dataB.fileName, key, review).catch((err) => {
+      const message = err instanceof Error ? err.message : String(err)
+      setError(`Beoordeling kon niet worden opgeslagen: ${message}`)
     })
+  }
 
-    setResults({
-      rows,
-      removed,
-      stats: {
-        unchanged: unchangedCount,
-        added: addedCount,
-        changed: changedCount,
-        removed: removed.length,
-      },
-      duplicatesA: indexA.duplicates,
-      duplicatesB: indexB.duplicates,
-      emptyKeysA: indexA.emptyKeys,
-      emptyKeysB: indexB.emptyKeys,
+  const filters = { statuses: statusFilter, search: searchText, onlyDifferences }
+  const filtersActive = statusFilter.length > 0 || searchText.trim() !== '' || onlyDifferences
+  const visibleRows = useMemo(
+    () =>
+      sortResultRows(
+        filterResultRows(results?.rows ?? [], {
+          statuses: statusFilter,
+          search: searchText,
+          onlyDifferences,
+        }),
+        sortConfig
+      ),
+    [results, statusFilter, searchText, onlyDifferences, sortConfig]
+  )
+  const reviewCounts = useMemo(() => countReviews(results?.rows ?? [], reviews), [results, reviews])
+  const visibleRemoved = useMemo(() => {
+    if (statusFilter.length && !statusFilter.includes(STATUS_REMOVED)) return []
+    const removedRows = filterResultRows(results?.removed ?? [], {
+      statuses: [],
+      search: searchText,
+      onlyDifferences: false,
     })
-    setActiveTab('result')
+    return sortResultRows(removedRows, sortConfig)
+  }, [results, statusFilter, searchText, sortConfig])
+
+  const qualityIssues = useMemo(() => (results ? listDataQualityIssues(results) : []), [results])
+
+  const toggleStatusFilter = (status) => {
+    setStatusFilter((prev) =>
+      prev.includes(status) ? prev.filter((item) => item !== status) : [...prev, status]
+    )
+    if (status === STATUS_REMOVED) {
+      setActiveTab('removed')
+    } else if (activeTab !== 'result') {
+      setActiveTab('result')
+    }
+  }
+
+  const clearFilters = () => {
+    setStatusFilter([])
+    setSearchText('')
+    setOnlyDifferences(false)
+    setSortConfig(null)
+  }
+
+  const toggleSort = (column) => {
+    setSortConfig((prev) => {
+      if (!prev || prev.column !== column) return { column, direction: 'asc' }
+      if (prev.direction === 'asc') return { column, direction: 'desc' }
+      return null
+    })
+  }
+
+  const renderSortHeader = (column, label, key) => {
+    const direction = sortConfig?.column === column ? sortConfig.direction : null
+    return (
+      <th
+        key={key}
+        className="sortable"
+        aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'}
+        onClick={() => toggleSort(column)}
+      >
+        {label}
+        <span className="sort-indicator">
+          {direction === 'asc' ? '▲' : direction === 'desc' ? '▼' : ''}
+        </span>
+      </th>
+    )
   }
 
-  const downloadExcel = async () => {
+  const downloadExcel = async (filtered) => {
     if (!results || !dataA || !dataB) return
-    const workbook = new ExcelJS.Workbook()
-    workbook.creator = 'Eisencheck Lab'
-    workbook.created = new Date()
-
-    const resultSheet = workbook.addWorksheet('Resultaat')
-    const resultHeaders = ['Eiscode', ...oldHeaderLabels, ...newHeaderLabels, 'Status']
-    resultSheet.addRow(resultHeaders)
-    results.rows.forEach((row) => {
-      const excelRow = resultSheet.addRow([
-        row.key,
-        ...row.oldValues,
-        ...row.newValues,
-        row.status,
-      ])
-      let fillColor = null
-      if (row.status === STATUS_UNCHANGED) fillColor = 'FFE3F5DF'
-      if (row.status === STATUS_ADDED) fillColor = 'FFFFF2C5'
-      if (row.status === STATUS_CHANGED) fillColor = 'FFFFE6B7'
-      if (fillColor) {
-        excelRow.eachCell((cell) => {
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: fillColor },
-          }
-        })
+    setError('')
+    try {
+      const buffer = await runTask('export', 'Excel-export maken', {
+        results,
+        rows: filtered ? visibleRows : results.rows,
+        removed: filtered ? visibleRemoved : results.removed,
+        labels: results.labels,
+        filters: filtered ? filters : null,
+        reviews,
+        sources: includeSources
+          ? {
+              A: { ...sourceReference('A'), sheets: sheetSelA },
+              B: { ...sourceReference('B'), sheets: sheetSelB },
+            }
+          : null,
+      })
+      saveWorkbook(buffer, filtered ? 'gefilterd' : '')
+    } catch (err) {
+      if (isCancelled(err)) return
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const canAnnotate = Boolean(results) && Boolean(sourceB?.format.startsWith('Excel'))
+
+  const downloadAnnotated = async () => {
+    if (!results || !dataA || !fileB || !canAnnotate) return
+    setError('')
+    try {
+      const source = await sourceB.file.arrayBuffer()
+      const buffer = await runTask(
+        'annotate',
+        'Bestand 2 annoteren',
+        {
+          buffer: source,
+          results,
+          sheets: sheetSelB
+            .map((index) => fileB.sheets[Number(index)])
+            .filter(Boolean)
+            .map((sheet) => ({ name: sheet.name, headerRow: sheet.headerRow })),
+          labels: {
+            removedKeys: results.labels.removedKeys,
+            old: results.settings.compareColumns.map((column) => column.old || 'EisTekst'),
+          },
+        },
+        [source]
+      )
+      downloadBlob(
+        toXlsxBlob(buffer),
+        `${sourceB.fileName.replace(/\.[^.]+$/, '')}_eisencheck.xlsx`
+      )
+    } catch (err) {
+      if (isCancelled(err)) return
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const sourceMeta = (source, data) => ({
+    name: data.fileName,
+    format: source?.format ?? '',
+    sheetName: data.sheetName,
+    ranges: data.ranges,
+    rows: data.rows.length,
+  })
+
+  const downloadReport = async () => {
+    if (!results || !dataA || !dataB) return
+    setError('')
+    try {
+      const html = await runTask('report', 'Rapport maken', {
+        results,
+        labels: results.labels,
+        meta: {
+          fileA: sourceMeta(sourceA, dataA),
+          fileB: sourceMeta(sourceB, dataB),
+          generatedAt: new Date().toLocaleString('nl-NL'),
+        },
+      })
+      downloadBlob(
+        new Blob([html], { type: 'text/html;charset=utf-8' }),
+        datedFileName('rapport', 'html')
+      )
+    } catch (err) {
+      if (isCancelled(err)) return
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const downloadData = async (type) => {
+    if (!results || !dataA || !dataB) return
+    setError('')
+    try {
+      const text = await runTask(type, DATA_EXPORTS[type].title, {
+        results,
+        labels: results.labels,
+        settings: results.settings,
+        meta: {
+          fileA: sourceMeta(sourceA, dataA),
+          fileB: sourceMeta(sourceB, dataB),
+          generatedAt: new Date().toISOString(),
+        },
+        reviews,
+      })
+      downloadBlob(new Blob([text], { type: DATA_EXPORTS[type].mimeType }), datedFileName('', type))
+    } catch (err) {
+      if (isCancelled(err)) return
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const headerOptions = (headers) =>
+    headers.filter(Boolean).map((header, index) => (
+      <option key={`${header}-${index}`} value={header}>
+        {header}
+      </option>
+    ))
+
+  const historyHeaders = revisions[0]?.data.headers ?? []
+  const historyKeyHeaders = pickHeaders(historyKeyCols, historyHeaders, 0)
+  const historyValueHeaders = pickHeaders(historyValueCols, historyHeaders, 1)
+
+  const addRevisions = async (files) => {
+    if (!files.length || task) return
+    setHistoryError('')
+    setHistory(null)
+    const ordered = [...files].sort((left, right) => sortCollator.compare(left.name, right.name))
+    try {
+      for (const file of ordered) {
+        const { payload, parsed, firstUsable } = await readSource(file, EMPTY_RANGE)
+        const revision = {
+          id: crypto.randomUUID(),
+          name: file.name.replace(/\.[^.]+$/, ''),
+          format: payload.format,
+          data: combineSheets(parsed, [String(firstUsable)]),
+        }
+        setRevisions((prev) => [...prev, revision])
       }
+    } catch (err) {
+      if (isCancelled(err)) return
+      setHistoryError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const moveRevision = (index, offset) => {
+    setHistory(null)
+    setRevisions((prev) => {
+      const next = [...prev]
+      const [revision] = next.splice(index, 1)
+      next.splice(index + offset, 0, revision)
+      return next
     })
+  }
 
-    const removedSheet = workbook.addWorksheet('Vervallen eisen')
-    removedSheet.addRow(['Eiscode', ...oldHeaderLabels])
-    results.removed.forEach((row) => {
-      const excelRow = removedSheet.addRow([row.key, ...row.oldValues])
-      excelRow.eachCell((cell) => {
-        cell.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFFFD9D1' },
-        }
+  const removeRevision = (index) => {
+    setHistory(null)
+    setRevisions((prev) => prev.filter((_, revisionIndex) => revisionIndex !== index))
+  }
+
+  const runHistory = async () => {
+    if (revisions.length < 2) return
+    setHistoryError('')
+    try {
+      const result = await runTask('history', 'Revisiehistorie opbouwen', {
+        revisions: revisions.map((revision) => ({
+          name: revision.name,
+          headers: revision.data.headers,
+          rows: revision.data.rows,
+          rowNumbers: revision.data.rowNumbers,
+        })),
+        settings: {
+          keyHeaders: historyKeyHeaders,
+          valueHeaders: historyValueHeaders,
+          similarityThreshold,
+          normalization,
+        },
       })
-    })
+      setHistory(result)
+    } catch (err) {
+      if (isCancelled(err)) return
+      setHistoryError(err instanceof Error ? err.message : String(err))
+    }
+  }
 
-    const legendSheet = workbook.addWorksheet('Legenda')
-    legendSheet.addRow(['Status', 'Betekenis', 'Kleur'])
-    LEGEND_ITEMS.forEach((item) => {
-      legendSheet.addRow([item.status, item.note, item.color])
-    })
-    legendSheet.addRow(['Vervallen', 'Alleen in bestand 1', 'red'])
-
-    const sheets = [resultSheet, removedSheet, legendSheet]
-    sheets.forEach((sheet) => {
-      sheet.getRow(1).font = { bold: true }
-      sheet.columns = sheet.columns.map((col) => ({
-        ...col,
-        width: Math.min(Math.max(col.width || 10, 16), 60),
-      }))
-      sheet.eachRow((row) => {
-        row.alignment = { vertical: 'top', wrapText: true }
+  const downloadHistory = async () => {
+    if (!history) return
+    setHistoryError('')
+    try {
+      const buffer = await runTask('historyExport', 'Excel-export maken', { history })
+      saveWorkbook(buffer, 'revisiehistorie')
+    } catch (err) {
+      if (isCancelled(err)) return
+      setHistoryError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const renderDiff = (parts, side) =>
+    parts
+      .filter((part) => part.type === 'equal' || part.type === side)
+      .map((part, index) => {
+        if (part.type === 'equal') return <span key={index}>{part.text}</span>
+        return side === 'removed' ? (
+          <del key={index} className="diff-removed">
+            {part.text}
+          </del>
+        ) : (
+          <ins key={index} className="diff-added">
+            {part.text}
+          </ins>
+        )
       })
-    })
 
-    const buffer = await workbook.xlsx.writeBuffer()
-    const blob = new Blob([buffer], {
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    })
-    const url = URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `eisencheck_${new Date().toISOString().slice(0, 10)}.xlsx`
-    link.rel = 'noopener'
-    link.click()
-    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  const showSheetColumn = Boolean(results?.sheetBreakdown)
+  const resultLabels = results?.labels ?? {
+    keys: [],
+    previousKeys: [],
+    removedKeys: [],
+    old: [],
+    new: [],
   }
+  const contextHeaderLabels = results?.contextNames ?? []
+  const locationsWithSheet = useMemo(() => {
+    const allRows = results ? [...results.rows, ...results.removed] : []
+    return { A: spansSheets(allRows, 'locationA'), B: spansSheets(allRows, 'locationB') }
+  }, [results])
 
   const renderRows = (rowsToRender) => {
     if (!rowsToRender.length) {
       return <p className="note">Geen rijen om te tonen.</p>
     }
     return (
-      <div className="compare-table">
-        <table>
-          <thead>
-            <tr>
-              <th>Eiscode</th>
-              {oldHeaderLabels.map((label, index) => (
-                <th key={`old-${label}-${index}`}>{label}</th>
+      <VirtualTable
+        rows={rowsToRender}
+        columnCount={
+          (showSheetColumn ? 1 : 0) +
+          resultLabels.keys.length * 2 +
+          resultLabels.old.length +
+          resultLabels.new.length +
+          contextHeaderLabels.length +
+          6
+        }
+        header={
+          <tr>
+            {showSheetColumn ? renderSortHeader('sheet', 'Werkblad', 'sheet') : null}
+            {resultLabels.keys.map((label, index) =>
+              renderSortHeader(`key:${index}`, label, `key-${label}-${index}`)
+            )}
+            {resultLabels.previousKeys.map((label, index) =>
+              renderSortHeader(`prevKey:${index}`, label, `prev-key-${label}-${index}`)
+            )}
+            {resultLabels.old.map((label, index) =>
+              renderSortHeader(`old:${index}`, label, `old-${label}-${index}`)
+            )}
+            {resultLabels.new.map((label, index) =>
+              renderSortHeader(`new:${index}`, label, `new-${label}-${index}`)
+            )}
+            {contextHeaderLabels.map((label, index) =>
+              renderSortHeader(`context:${index}`, label, `context-${label}-${index}`)
+            )}
+            {renderSortHeader('similarity', 'Overeenkomst', 'similarity')}
+            {renderSortHeader('status', 'Status', 'status')}
+            {renderSortHeader('rowA', 'Rij bestand 1', 'row-a')}
+            {renderSortHeader('rowB', 'Rij bestand 2', 'row-b')}
+            <th>Beoordeling</th>
+            <th>Opmerking</th>
+          </tr>
+        }
+        renderRow={(row, index) => {
+          const statusClass = STATUS_CLASS_NAMES[row.status]
+          const review = reviews[reviewKey(row)]
+          return (
+            <tr key={`${row.key}-${index}`} className={statusClass}>
+              {showSheetColumn ? <td>{row.sheet}</td> : null}
+              {row.keyParts.map((part, partIndex) => (
+                <td key={`key-${partIndex}`}>{part}</td>
+              ))}
+              {row.keyParts.map((_, partIndex) => (
+                <td key={`prev-key-${partIndex}`}>{row.oldKeyParts?.[partIndex] ?? ''}</td>
               ))}
-              {newHeaderLabels.map((label, index) => (
-                <th key={`new-${label}-${index}`}>{label}</th>
+              {row.oldValues.map((value, valueIndex) => (
+                <td
+                  key={`old-${row.key}-${valueIndex}`}
+                  className={row.changedColumns?.[valueIndex] ? 'cell-changed' : undefined}
+                >
+                  {row.diffs ? renderDiff(row.diffs[valueIndex], 'removed') : value}
+                </td>
               ))}
-              <th>Status</th>
+              {row.newValues.map((value, valueIndex) => (
+                <td
+                  key={`new-${row.key}-${valueIndex}`}
+                  className={row.changedColumns?.[valueIndex] ? 'cell-changed' : undefined}
+                >
+                  {row.diffs ? renderDiff(row.diffs[valueIndex], 'added') : value}
+                </td>
+              ))}
+              {contextHeaderLabels.map((_, contextIndex) => (
+                <td key={`context-${row.key}-${contextIndex}`} className="cell-context">
+                  {row.contextValues?.[contextIndex] ?? ''}
+                </td>
+              ))}
+              <td>{formatSimilarity(row.similarity)}</td>
+              <td>{row.status}</td>
+              <td>{formatRowLocation(row.locationA, locationsWithSheet.A)}</td>
+              <td>{formatRowLocation(row.locationB, locationsWithSheet.B)}</td>
+              {isReviewable(row) || hasReview(review) ? (
+                <>
+                  <td>
+                    <select
+                      className="review-select"
+                      value={review?.decision ?? ''}
+                      onChange={(event) =>
+                        updateReview(row, {
+                          decision: event.target.value,
+                          reassess: false,
+                          previousDecision: '',
+                        })
+                      }
+                      aria-label={`Beoordeling ${row.key}`}
+                    >
+                      <option value="">Open</option>
+                      {REVIEW_DECISIONS.map((decision) => (
+                        <option key={decision} value={decision}>
+                          {decision}
+                        </option>
+                      ))}
+                    </select>
+                    {review?.reassess && !review.decision ? (
+                      <span className="review-reassess">
+                        {REVIEW_REASSESS}
+                        {review.previousDecision ? ` (was ${review.previousDecision})` : ''}
+                      </span>
+                    ) : null}
+                  </td>
+                  <td>
+                    <ReviewComment
+                      comment={review?.comment ?? ''}
+                      onSave={(comment) => updateReview(row, { comment })}
+                      label={`Opmerking ${row.key}`}
+                    />
+                  </td>
+                </>
+              ) : (
+                <>
+                  <td />
+                  <td />
+                </>
+              )}
             </tr>
-          </thead>
-          <tbody>
-            {rowsToRender.map((row, index) => {
-              const statusClass =
-                row.status === STATUS_UNCHANGED
-                  ? 'status-unchanged'
-                  : row.status === STATUS_ADDED
-                    ? 'status-added'
-                    : 'status-changed'
-              return (
-                <tr key={`${row.key}-${index}`} className={statusClass}>
-                  <td>{row.key}</td>
-                  {row.oldValues.map((value, valueIndex) => (
-                    <td key={`old-${row.key}-${valueIndex}`}>{value}</td>
-                  ))}
-                  {row.newValues.map((value, valueIndex) => (
-                    <td key={`new-${row.key}-${valueIndex}`}>{value}</td>
-                  ))}
-                  <td>{row.status}</td>
-                </tr>
-              )
-            })}
-          </tbody>
-        </table>
-      </div>
+          )
+        }}
+      />
+    )
+  }
+
+  const renderHistory = (historyToRender) => {
+    if (!historyToRender.rows.length) {
+      return <p className="note">Geen eisen gevonden.</p>
+    }
+    return (
+      <VirtualTable
+        rows={historyToRender.rows}
+        columnCount={historyToRender.keyHeaders.length + historyToRender.transitions.length + 1}
+        header={
+          <tr>
+            {historyToRender.keyHeaders.map((label, index) => (
+              <th key={`history-key-${label}-${index}`}>{label}</th>
+            ))}
+            {historyToRender.transitions.map((transition, index) => (
+              <th key={`history-step-${index}`}>
+                {transition.from} → {transition.to}
+              </th>
+            ))}
+            <th>Levensloop</th>
+          </tr>
+        }
+        renderRow={(row, index) => (
+          <tr key={`${row.key}-${index}`}>
+            {row.keyParts.map((part, partIndex) => (
+              <td key={`key-${partIndex}`}>{part}</td>
+            ))}
+            {row.steps.map((cell, step) => (
+              <td
+                key={`step-${step}`}
+                className={cell ? STATUS_CLASS_NAMES[cell.status] : undefined}
+              >
+                {formatHistoryStep(cell)}
+              </td>
+            ))}
+            <td>{row.lifecycle}</td>
+          </tr>
+        )}
+      />
     )
   }
 
@@ -632,28 +1506,80 @@ function App() {
       return <p className="note">Geen vervallen eisen.</p>
     }
     return (
-      <div className="compare-table">
-        <table>
-          <thead>
-            <tr>
-              <th>Eiscode</th>
-              {oldHeaderLabels.map((label, index) => (
-                <th key={`removed-${label}-${index}`}>{label}</th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {rowsToRender.map((row, index) => (
-              <tr key={`${row.key}-${index}`} className="status-removed">
-                <td>{row.key}</td>
-                {row.oldValues.map((value, valueIndex) => (
-                  <td key={`removed-${row.key}-${valueIndex}`}>{value}</td>
-                ))}
-              </tr>
+      <VirtualTable
+        rows={rowsToRender}
+        columnCount={
+          (showSheetColumn ? 1 : 0) +
+          resultLabels.removedKeys.length +
+          resultLabels.old.length +
+          contextHeaderLabels.length +
+          1
+        }
+        header={
+          <tr>
+            {showSheetColumn ? renderSortHeader('sheet', 'Werkblad', 'sheet') : null}
+            {resultLabels.removedKeys.map((label, index) =>
+              renderSortHeader(`key:${index}`, label, `removed-key-${label}-${index}`)
+            )}
+            {resultLabels.old.map((label, index) =>
+              renderSortHeader(`old:${index}`, label, `removed-${label}-${index}`)
+            )}
+            {contextHeaderLabels.map((label, index) =>
+              renderSortHeader(`context:${index}`, label, `removed-context-${label}-${index}`)
+            )}
+            {renderSortHeader('rowA', 'Rij bestand 1', 'removed-row-a')}
+          </tr>
+        }
+        renderRow={(row, index) => (
+          <tr key={`${row.key}-${index}`} className="status-removed">
+            {showSheetColumn ? <td>{row.sheet}</td> : null}
+            {row.keyParts.map((part, partIndex) => (
+              <td key={`removed-key-${partIndex}`}>{part}</td>
             ))}
-          </tbody>
-        </table>
-      </div>
+            {row.oldValues.map((value, valueIndex) => (
+              <td key={`removed-${row.key}-${valueIndex}`}>{value}</td>
+            ))}
+            {contextHeaderLabels.map((_, contextIndex) => (
+              <td key={`removed-context-${row.key}-${contextIndex}`} className="cell-context">
+                {row.contextValues?.[contextIndex] ?? ''}
+              </td>
+            ))}
+            <td>{formatRowLocation(row.locationA, locationsWithSheet.A)}</td>
+          </tr>
+        )}
+      />
+    )
+  }
+
+  const renderQuality = (issuesToRender) => {
+    if (!issuesToRender.length) {
+      return <p className="note">Geen dubbele of lege sleutels gevonden.</p>
+    }
+    return (
+      <VirtualTable
+        rows={issuesToRender}
+        columnCount={6}
+        header={
+          <tr>
+            <th>Soort</th>
+            <th>Bestand</th>
+            <th>Werkblad</th>
+            <th>Sleutel</th>
+            <th>Rijen</th>
+            <th>Toelichting</th>
+          </tr>
+        }
+        renderRow={(issue, index) => (
+          <tr key={`quality-${index}`}>
+            <td>{issue.type}</td>
+            <td>{issue.file}</td>
+            <td>{issue.sheet}</td>
+            <td>{issue.key}</td>
+            <td>{issue.rows}</td>
+            <td>{issue.details}</td>
+          </tr>
+        )}
+      />
     )
   }
 
@@ -664,9 +1590,9 @@ function App() {
           <p className="eyebrow">Eisencheck Lab</p>
           <h1>Excel vergelijk tool</h1>
           <p className="subtitle">
-            Upload twee Excel-bestanden, kies de sleutelkolom en de kolommen om te
-            vergelijken. De app negeert volgorde en normaliseert onzichtbare
-            tekens zodat alleen zichtbare verschillen tellen.
+            Upload twee Excel-bestanden, kies de sleutelkolom en de kolommen om te vergelijken. De
+            app negeert volgorde en normaliseert onzichtbare tekens zodat alleen zichtbare
+            verschillen tellen.
           </p>
         </div>
       </header>
@@ -675,6 +1601,74 @@ function App() {
         <div className="panel-header">
           <h2>Upload bestanden</h2>
         </div>
+        <div className="profile-bar">
+          <div className="select-field">
+            <label htmlFor="profile">Profiel</label>
+            <select
+              id="profile"
+              value={activeProfile?.name ?? ''}
+              onChange={(event) => chooseProfile(event.target.value)}
+            >
+              <option value="">Geen profiel</option>
+              {profiles.map((profile) => (
+                <option key={profile.name} value={profile.name}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="select-field">
+            <label htmlFor="profileName">Profielnaam</label>
+            <input
+              id="profileName"
+              type="text"
+              placeholder="Bijv. Wekelijkse specificatie"
+              value={profileName}
+              onChange={(event) => setProfileName(event.target.value)}
+            />
+          </div>
+          <div className="profile-actions">
+            <button
+              className="ghost small"
+              type="button"
+              onClick={saveProfile}
+              disabled={!profileName.trim()}
+            >
+              Opslaan
+            </button>
+            <button
+              className="ghost small"
+              type="button"
+              onClick={deleteProfile}
+              disabled={!activeProfile}
+            >
+              Verwijderen
+            </button>
+            <button
+              className="ghost small"
+              type="button"
+              onClick={exportProfiles}
+              disabled={!profiles.length}
+            >
+              Exporteren
+            </button>
+            <label className="file">
+              Importeren
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={(event) => {
+                  importProfiles(event.target.files?.[0])
+                  event.target.value = ''
+                }}
+              />
+            </label>
+          </div>
+        </div>
+        <p className="note">
+          Een profiel bewaart sleutel- en vergelijkkolommen (op kolomnaam), werkbladen, headerrij en
+          normalisatie. Profielen worden in deze browser bewaard en zijn als JSON-bestand te delen.
+        </p>
         <div className="upload-grid">
           <div className="upload-card">
             <strong>Bestand 1 (oud)</strong>
@@ -696,27 +1690,101 @@ function App() {
                 Kies bestand
                 <input
                   type="file"
-                  accept=".xlsx"
+                  accept={ACCEPTED_FILES}
+                  disabled={Boolean(task)}
                   onChange={(event) => loadFile(event.target.files?.[0], 'A')}
                 />
               </label>
-              <span className="hint">Sleep of klik om een .xlsx te kiezen.</span>
+              <span className="hint">
+                Sleep of klik om een .xlsx, .ods, .csv of .tsv te kiezen.
+              </span>
             </div>
             {dataA ? (
               <div className="info-row">
                 <span>
                   <strong>Naam:</strong> {dataA.fileName}
                 </span>
+                <span>
+                  <strong>Formaat:</strong> {sourceA.format}
+                </span>
                 <span>
                   <strong>Sheet:</strong> {dataA.sheetName}
                 </span>
                 <span>
                   <strong>Rijen:</strong> {dataA.rows.length}
                 </span>
+                {dataA.ranges.map((range) => (
+                  <span key={range.name}>
+                    <strong>Bereik{dataA.ranges.length > 1 ? ` ${range.name}` : ''}:</strong>{' '}
+                    {range.text}
+                  </span>
+                ))}
               </div>
             ) : (
               <p className="upload-status">Nog geen bestand geladen.</p>
             )}
+            {sourceA ? (
+              <div className="range-grid">
+                <div className="select-field">
+                  <label htmlFor="headerRowA">Headerrij</label>
+                  <input
+                    id="headerRowA"
+                    type="number"
+                    min="1"
+                    placeholder={`auto (${dataA?.detectedHeaderRow ?? 1})`}
+                    value={rangeA.headerRow}
+                    onChange={(event) => changeRange('A', 'headerRow', event.target.value)}
+                  />
+                </div>
+                <div className="select-field">
+                  <label htmlFor="lastRowA">Laatste rij</label>
+                  <input
+                    id="lastRowA"
+                    type="number"
+                    min="1"
+                    placeholder="einde"
+                    value={rangeA.lastRow}
+                    onChange={(event) => changeRange('A', 'lastRow', event.target.value)}
+                  />
+                </div>
+                <div className="select-field">
+                  <label htmlFor="stopMarkerA">Stopmarkering</label>
+                  <input
+                    id="stopMarkerA"
+                    type="text"
+                    placeholder="bijv. Einde lijst"
+                    value={rangeA.stopMarker}
+                    onChange={(event) => changeRange('A', 'stopMarker', event.target.value)}
+                  />
+                </div>
+              </div>
+            ) : null}
+            {fileA?.sheets.length > 1 ? (
+              <div className="select-field">
+                <label htmlFor="sheetsA">Werkbladen</label>
+                <select
+                  id="sheetsA"
+                  multiple
+                  value={sheetSelA}
+                  onChange={(event) =>
+                    changeSheetSelection(
+                      'A',
+                      Array.from(event.target.selectedOptions, (option) => option.value)
+                    )
+                  }
+                >
+                  {fileA.sheets.map((sheet, index) => (
+                    <option
+                      key={`a-sheet-${sheet.name}-${index}`}
+                      value={String(index)}
+                      disabled={!sheet.headers.length}
+                    >
+                      {sheet.name} ({sheet.rows.length} rijen)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : null}
           </div>
 
           <div className="upload-card">
@@ -739,29 +1807,121 @@ function App() {
                 Kies bestand
                 <input
                   type="file"
-                  accept=".xlsx"
+                  accept={ACCEPTED_FILES}
+                  disabled={Boolean(task)}
                   onChange={(event) => loadFile(event.target.files?.[0], 'B')}
                 />
               </label>
-              <span className="hint">Sleep of klik om een .xlsx te kiezen.</span>
+              <span className="hint">
+                Sleep of klik om een .xlsx, .ods, .csv of .tsv te kiezen.
+              </span>
             </div>
             {dataB ? (
               <div className="info-row">
                 <span>
                   <strong>Naam:</strong> {dataB.fileName}
                 </span>
+                <span>
+                  <strong>Formaat:</strong> {sourceB.format}
+                </span>
                 <span>
                   <strong>Sheet:</strong> {dataB.sheetName}
                 </span>
                 <span>
                   <strong>Rijen:</strong> {dataB.rows.length}
                 </span>
+                {dataB.ranges.map((range) => (
+                  <span key={range.name}>
+                    <strong>Bereik{dataB.ranges.length > 1 ? ` ${range.name}` : ''}:</strong>{' '}
+                    {range.text}
+                  </span>
+                ))}
               </div>
             ) : (
               <p className="upload-status">Nog geen bestand geladen.</p>
             )}
+            {sourceB ? (
+              <div className="range-grid">
+                <div className="select-field">
+                  <label htmlFor="headerRowB">Headerrij</label>
+                  <input
+                    id="headerRowB"
+                    type="number"
+                    min="1"
+                    placeholder={`auto (${dataB?.detectedHeaderRow ?? 1})`}
+                    value={rangeB.headerRow}
+                    onChange={(event) => changeRange('B', 'headerRow', event.target.value)}
+                  />
+                </div>
+                <div className="select-field">
+                  <label htmlFor="lastRowB">Laatste rij</label>
+                  <input
+                    id="lastRowB"
+                    type="number"
+                    min="1"
+                    placeholder="einde"
+                    value={rangeB.lastRow}
+                    onChange={(event) => changeRange('B', 'lastRow', event.target.value)}
+                  />
+                </div>
+                <div className="select-field">
+                  <label htmlFor="stopMarkerB">Stopmarkering</label>
+                  <input
+                    id="stopMarkerB"
+                    type="text"
+                    placeholder="bijv. Einde lijst"
+                    value={rangeB.stopMarker}
+                    onChange={(event) => changeRange('B', 'stopMarker', event.target.value)}
+                  />
+                </div>
+              </div>
+            ) : null}
+            {fileB?.sheets.length > 1 ? (
+              <div className="select-field">
+                <label htmlFor="sheetsB">Werkbladen</label>
+                <select
+                  id="sheetsB"
+                  multiple
+                  value={sheetSelB}
+                  onChange={(event) =>
+                    changeSheetSelection(
+                      'B',
+                      Array.from(event.target.selectedOptions, (option) => option.value)
+                    )
+                  }
+                >
+                  {fileB.sheets.map((sheet, index) => (
+                    <option
+                      key={`b-sheet-${sheet.name}-${index}`}
+                      value={String(index)}
+                      disabled={!sheet.headers.length}
+                    >
+                      {sheet.name} ({sheet.rows.length} rijen)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : null}
           </div>
         </div>
+        {fileA?.sheets.length > 1 || fileB?.sheets.length > 1 ? (
+          <div className="select-grid">
+            <div className="select-field">
+              <label htmlFor="sheetMode">Meerdere werkbladen</label>
+              <select
+                id="sheetMode"
+                value={sheetMode}
+                onChange={(event) => {
+                  setSheetMode(event.target.value)
+                  setResults(null)
+                }}
+              >
+                <option value={SHEET_MODE_COMBINE}>Samenvoegen tot één lijst</option>
+                <option value={SHEET_MODE_PAIRWISE}>Per werkblad vergelijken (op naam)</option>
+              </select>
+            </div>
+          </div>
+        ) : null}
         {error ? <div className="error">{error}</div> : null}
       </section>
 
@@ -771,16 +1931,18 @@ function App() {
         </div>
         <div className="select-grid">
           <div className="select-field">
-            <label htmlFor="keyA">Sleutel kolom (bestand 1)</label>
+            <label htmlFor="keyA">Sleutel kolommen (bestand 1)</label>
             <select
               id="keyA"
+              multiple
               value={keyColA}
-              onChange={(event) => setKeyColA(event.target.value)}
+              onChange={(event) =>
+                setKeyColA(
+                  Array.from(event.target.selectedOptions, (option) => option.value)
+                )
+              }
               disabled={!dataA}
             >
-              <option value="" disabled>
-                Kies kolom
-              </option>
               {dataA?.headers.map((header, index) => (
                 <option key={`a-key-${header}-${index}`} value={String(index)}>
                   {header || `(kolom ${index + 1})`}
@@ -789,16 +1951,18 @@ function App() {
             </select>
           </div>
           <div className="select-field">
-            <label htmlFor="keyB">Sleutel kolom (bestand 2)</label>
+            <label htmlFor="keyB">Sleutel kolommen (bestand 2)</label>
             <select
               id="keyB"
+              multiple
               value={keyColB}
-              onChange={(event) => setKeyColB(event.target.value)}
+              onChange={(event) =>
+                setKeyColB(
+                  Array.from(event.target.selectedOptions, (option) => option.value)
+                )
+              }
               disabled={!dataB}
             >
-              <option value="" disabled>
-                Kies kolom
-              </option>
               {dataB?.headers.map((header, index) => (
                 <option key={`b-key-${header}-${index}`} value={String(index)}>
                   {header || `(kolom ${index + 1})`}
@@ -807,7 +1971,7 @@ function App() {
             </select>
           </div>
           <div className="select-field">
-            <label htmlFor="compareA">Vergelijk kolom (bestand 1)</label>
+            <label htmlFor="compareA">Vergelijk kolommen (bestand 1)</label>
             <select
               id="compareA"
               multiple
@@ -827,29 +1991,120 @@ function App() {
             </select>
           </div>
           <div className="select-field">
-            <label htmlFor="compareB">Vergelijk kolom (bestand 2)</label>
+            <label htmlFor="contextB">Contextkolommen (bestand 2)</label>
             <select
-              id="compareB"
+              id="contextB"
               multiple
-              value={compareColB}
+              value={contextColB}
               onChange={(event) =>
-                setCompareColB(
-                  Array.from(event.target.selectedOptions, (option) => option.value)
-                )
+                setContextColB(Array.from(event.target.selectedOptions, (option) => option.value))
               }
               disabled={!dataB}
             >
               {dataB?.headers.map((header, index) => (
-                <option key={`b-comp-${header}-${index}`} value={String(index)}>
+                <option key={`b-context-${header}-${index}`} value={String(index)}>
                   {header || `(kolom ${index + 1})`}
                 </option>
               ))}
             </select>
           </div>
         </div>
+        <div className="select-grid">
+          <div className="select-field">
+            <label htmlFor="similarityThreshold">
+              Minimale overeenkomst bij dubbele sleutels (%)
+            </label>
+            <input
+              id="similarityThreshold"
+              type="number"
+              min="0"
+              max="100"
+              step="5"
+              value={similarityThreshold}
+              onChange={(event) => {
+                const next = Number(event.target.value)
+                if (Number.isNaN(next)) return
+                setSimilarityThreshold(Math.min(Math.max(next, 0), 100))
+              }}
+            />
+          </div>
+        </div>
+        {dataA && dataB ? (
+          <div className="mapping">
+            <h3>Kolomkoppeling</h3>
+            <div className="compare-table mapping-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Kolom bestand 1</th>
+                    <th>Kolom bestand 2</th>
+                    <th>Suggestie</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dataA.headers.map((header, index) => {
+                    const indexA = String(index)
+                    const suggestion = columnSuggestions.mapping[indexA]
+                    return (
+                      <tr
+                        key={`map-${header}-${index}`}
+                        className={compareColA.includes(indexA) ? 'mapping-selected' : ''}
+                      >
+                        <td>{header || `(kolom ${index + 1})`}</td>
+                        <td>
+                          <select
+                            aria-label={`Koppeling voor ${header || `kolom ${index + 1}`}`}
+                            value={columnMapping[indexA] ?? ''}
+                            onChange={(event) =>
+                              setColumnOverrides((prev) => ({
+                                ...prev,
+                                [indexA]: event.target.value,
+                              }))
+                            }
+                          >
+                            <option value="">— niet gekoppeld —</option>
+                            {dataB.headers.map((headerB, indexB) => (
+                              <option key={`map-b-${headerB}-${indexB}`} value={String(indexB)}>
+                                {headerB || `(kolom ${indexB + 1})`}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          {suggestion != null
+                            ? `${dataB.headers[Number(suggestion)]} (${formatSimilarity(
+                                columnSuggestions.scores[indexA]
+                              )})`
+                            : '—'}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : null}
+        <fieldset className="option-group">
+          <legend>Normalisatie (toegepast op sleutels en tekst)</legend>
+          {NORMALIZATION_OPTIONS.map((option) => (
+            <label key={option.id} className="option">
+              <input
+                type="checkbox"
+                checked={normalization[option.id]}
+                onChange={(event) => {
+                  const { checked } = event.target
+                  setNormalization((prev) => ({ ...prev, [option.id]: checked }))
+                  setResults(null)
+                }}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
         {headerCheck && !headerCheck.ok ? (
-          <div className="error">
-            Headers komen niet overeen.
+          <div className="warning">
+            Headers komen niet overeen; controleer de kolomkoppeling.
             {headerCheck.missingInA.length ? (
               <div>Ontbreekt in bestand 1: {headerCheck.missingInA.join(', ')}</div>
             ) : null}
@@ -858,14 +2113,34 @@ function App() {
             ) : null}
           </div>
         ) : null}
+        {keyColA.length > 0 && keyColB.length > 0 && keyColA.length !== keyColB.length ? (
+          <div className="error">Kies hetzelfde aantal sleutelkolommen in beide bestanden.</div>
+        ) : null}
         {compareMismatch ? (
-          <div className="error">Selecteer dezelfde kolommen in beide bestanden.</div>
+          <div className="error">Koppel elke vergelijkkolom aan een kolom in bestand 2.</div>
         ) : null}
-        <p className="note">Gebruik Eiscode als sleutelkolom.</p>
+        <p className="note">
+          Gebruik Eiscode als sleutelkolom, of combineer kolommen (bijv. Hoofdstuk + Eiscode)
+          tot een samengestelde sleutel. Rijen waarin een sleuteldeel leeg is worden
+          overgeslagen.
+        </p>
         <p className="note">Gebruik Ctrl of Shift om meerdere kolommen te selecteren.</p>
+        <p className="note">
+          Contextkolommen (bijv. Discipline, Fase of Verificatiemethode) worden alleen getoond en
+          geëxporteerd, niet vergeleken. De waarden komen uit bestand 2, bij vervallen eisen uit de
+          gekoppelde kolom van bestand 1.
+        </p>
+        <p className="note">
+          Kolommen worden gekoppeld op (gelijkende) kolomnaam; pas de koppeling aan als een
+          kolom is hernoemd of verplaatst.
+        </p>
         <p className="note">
           Vergelijking negeert dubbele spaties, returns en onzichtbare tekens.
         </p>
+        <p className="note">
+          Bij dubbele sleutels worden rijen op meeste tekstovereenkomst gepaard; onder de
+          drempel gelden ze als vervallen + toegevoegd.
+        </p>
       </section>
 
       <section className="panel compare-panel" ref={compareRef}>
@@ -873,7 +2148,12 @@ function App() {
           <h2>Vergelijk geuploade bestanden</h2>
         </div>
         <div className="upload-actions">
-          <button className="primary" type="button" onClick={runCompare} disabled={!canCompare}>
+          <button
+            className="primary"
+            type="button"
+            onClick={runCompare}
+            disabled={!canCompare || Boolean(task) || rangePending}
+          >
             Vergelijk bestanden
           </button>
         </div>
@@ -883,44 +2163,135 @@ function App() {
         <div className="panel-header">
           <div className="panel-title-row">
             <h2>Resultaten</h2>
-            <button className="ghost" type="button" onClick={downloadExcel} disabled={!results}>
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => downloadExcel(false)}
+              disabled={Boolean(task) || !results}
+            >
               Download Excel
             </button>
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => downloadExcel(true)}
+              disabled={Boolean(task) || !results || !filtersActive}
+            >
+              Download gefilterde weergave
+            </button>
+            <label
+              className="option"
+              title="Neemt de gekozen werkbladen van beide bestanden op in de Excel-export, met links vanuit de rijnummers"
+            >
+              <input
+                type="checkbox"
+                checked={includeSources}
+                onChange={(event) => setIncludeSources(event.target.checked)}
+              />
+              Bronbladen meenemen
+            </label>
+            <button
+              className="ghost"
+              type="button"
+              onClick={downloadAnnotated}
+              disabled={Boolean(task) || !canAnnotate}
+              title="Bestand 2 met alle kolommen en opmaak, rijen gekleurd per status"
+            >
+              Download geannoteerd bestand 2
+            </button>
+            <button
+              className="ghost"
+              type="button"
+              onClick={downloadReport}
+              disabled={Boolean(task) || !results}
+            >
+              Download rapport (HTML)
+            </button>
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => downloadData('json')}
+              disabled={Boolean(task) || !results}
+            >
+              Download JSON
+            </button>
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => downloadData('csv')}
+              disabled={Boolean(task) || !results}
+            >
+              Download CSV
+            </button>
+            <label className={`file ${task || !results ? 'disabled' : ''}`}>
+              Beoordelingen overnemen
+              <input
+                type="file"
+                accept=".xlsx,.json"
+                disabled={Boolean(task) || !results}
+                onChange={(event) => {
+                  importReviews(event.target.files?.[0])
+                  event.target.value = ''
+                }}
+              />
+            </label>
           </div>
           <div className="panel-actions">
-            <span className="pill green">Groen: niets veranderd</span>
-            <span className="pill yellow">Geel: toegevoegd</span>
-            <span className="pill orange">Oranje: gewijzigd</span>
-            <span className="pill red">Rood: vervallen</span>
+            {STATUS_PILLS.map((pill) => (
+              <button
+                key={pill.status}
+                type="button"
+                className={`pill ${pill.color} ${statusFilter.includes(pill.status) ? 'active' : ''}`}
+                aria-pressed={statusFilter.includes(pill.status)}
+                onClick={() => toggleStatusFilter(pill.status)}
+              >
+                {pill.label}
+              </button>
+            ))}
           </div>
         </div>
 
         <div className="output-cards">
-          <div className="stat-card">
-            <p className="stat-label">Ongewijzigd</p>
-            <p className="stat-value">{results?.stats.unchanged ?? 0}</p>
-            <p className="stat-note">Bestanden matchen exact</p>
-          </div>
-          <div className="stat-card">
-            <p className="stat-label">Toegevoegd</p>
-            <p className="stat-value">{results?.stats.added ?? 0}</p>
-            <p className="stat-note">Alleen in bestand 2</p>
-          </div>
-          <div className="stat-card">
-            <p className="stat-label">Gewijzigd</p>
-            <p className="stat-value">{results?.stats.changed ?? 0}</p>
-            <p className="stat-note">Zelfde sleutel, andere waarde</p>
-          </div>
-          <div className="stat-card">
-            <p className="stat-label">Vervallen eisen</p>
-            <p className="stat-value">{results?.stats.removed ?? 0}</p>
-            <p className="stat-note">Alleen in bestand 1</p>
-          </div>
+          {STAT_CARDS.map((card) => {
+            const reviewCount = reviewCounts[card.status]
+            return (
+              <button
+                key={card.status}
+                type="button"
+                className={`stat-card ${statusFilter.includes(card.status) ? 'active' : ''}`}
+                aria-pressed={statusFilter.includes(card.status)}
+                onClick={() => toggleStatusFilter(card.status)}
+              >
+                <span className="stat-label">{card.label}</span>
+                <span className="stat-value">{results?.stats[card.statKey] ?? 0}</span>
+                <span className="stat-note">{card.note}</span>
+                {reviewCount ? (
+                  <span className="stat-review">
+                    <span
+                      className="stat-review-bar"
+                      style={{
+                        '--reviewed': `${(reviewCount.reviewed / reviewCount.total) * 100}%`,
+                      }}
+                    />
+                    {reviewCount.reviewed} van {reviewCount.total} beoordeeld
+                    {reviewCount.reassess ? `, ${reviewCount.reassess} opnieuw` : ''}
+                  </span>
+                ) : null}
+              </button>
+            )
+          })}
         </div>
 
-        {results?.duplicatesA?.size || results?.duplicatesB?.size ? (
+        {results && reviewNotice ? <p className="note">{reviewNotice}</p> : null}
+        {results?.duplicateKeysA?.length || results?.duplicateKeysB?.length ? (
           <div className="warning">
-            Let op: dubbele sleutels gevonden. Matches worden op tekstwaarde gepaard.
+            Let op: dubbele sleutels gevonden. Rijen worden op tekstovereenkomst gepaard (drempel {results.similarityThreshold}%).
+            {results.duplicateKeysA.length ? (
+              <div>Bestand 1: {results.duplicateKeysA.map(formatDuplicateKey).join('; ')}</div>
+            ) : null}
+            {results.duplicateKeysB.length ? (
+              <div>Bestand 2: {results.duplicateKeysB.map(formatDuplicateKey).join('; ')}</div>
+            ) : null}
           </div>
         ) : null}
         {(results?.emptyKeysA || results?.emptyKeysB) && results ? (
@@ -929,6 +2300,51 @@ function App() {
           </div>
         ) : null}
 
+        {results && results.stats.changedByColumn.length > 1 ? (
+          <div className="column-breakdown">
+            <strong>Wijzigingen per kolom:</strong>
+            {results.stats.changedByColumn.map((count, index) => (
+              <span key={`changed-col-${index}`} className="pill">
+                {results.columnNames[index]}: {count}
+              </span>
+            ))}
+          </div>
+        ) : null}
+        {results?.skippedSheets?.length ? (
+          <div className="warning">
+            Niet vergeleken werkbladen:{' '}
+            {results.skippedSheets.map((entry) => `${entry.sheet} (${entry.reason})`).join('; ')}
+          </div>
+        ) : null}
+        {results?.sheetBreakdown ? (
+          <div className="compare-table sheet-breakdown">
+            <table>
+              <thead>
+                <tr>
+                  <th>Werkblad</th>
+                  <th>Ongewijzigd</th>
+                  <th>Toegevoegd</th>
+                  <th>Gewijzigd</th>
+                  <th>Hernummerd</th>
+                  <th>Vervallen</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.sheetBreakdown.map((entry) => (
+                  <tr key={entry.sheet}>
+                    <td>{entry.sheet}</td>
+                    <td>{entry.stats.unchanged}</td>
+                    <td>{entry.stats.added}</td>
+                    <td>{entry.stats.changed}</td>
+                    <td>{entry.stats.renumbered}</td>
+                    <td>{entry.stats.removed}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+
         <div className="legend">
           {LEGEND_ITEMS.map((item) => (
             <div key={item.status} className="legend-item">
@@ -946,6 +2362,52 @@ function App() {
               <div>Verplaatst naar apart tabblad</div>
             </div>
           </div>
+          <div className="legend-item">
+            <div>
+              <strong>
+                <del className="diff-removed">oud</del> / <ins className="diff-added">nieuw</ins>
+              </strong>
+              <div>Gewijzigde woorden binnen een eis</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="filter-bar">
+          <input
+            type="search"
+            className="filter-search"
+            placeholder="Zoek op sleutel of tekst"
+            aria-label="Zoek op sleutel of tekst"
+            value={searchText}
+            onChange={(event) => setSearchText(event.target.value)}
+            disabled={!results}
+          />
+          <label className="option">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(event) => setOnlyDifferences(event.target.checked)}
+              disabled={!results}
+            />
+            Alleen verschillen
+          </label>
+          <button
+            className="ghost small"
+            type="button"
+            onClick={clearFilters}
+            disabled={!filtersActive && !sortConfig}
+          >
+            Filters wissen
+          </button>
+          {results ? (
+            <span className="meta">
+              {activeTab === 'quality'
+                ? `${qualityIssues.length} meldingen`
+                : activeTab === 'result'
+                  ? `${visibleRows.length} van ${results.rows.length} rijen`
+                  : `${visibleRemoved.length} van ${results.removed.length} rijen`}
+            </span>
+          ) : null}
         </div>
 
         <div className="tab-row">
@@ -963,14 +2425,177 @@ function App() {
           >
             Vervallen eisen
           </button>
+          <button
+            className={`tab-button ${activeTab === 'quality' ? 'active' : ''}`}
+            type="button"
+            onClick={() => setActiveTab('quality')}
+          >
+            Datakwaliteit{qualityIssues.length ? ` (${qualityIssues.length})` : ''}
+          </button>
         </div>
 
         <div className="output-section">
-          {activeTab === 'result'
-            ? renderRows(results?.rows ?? [])
-            : renderRemoved(results?.removed ?? [])}
+          {activeTab === 'quality'
+            ? renderQuality(qualityIssues)
+            : activeTab === 'result'
+              ? renderRows(visibleRows)
+              : renderRemoved(visibleRemoved)}
         </div>
       </section>
+
+      <section className="panel">
+        <div className="panel-header">
+          <div className="panel-title-row">
+            <h2>Revisiehistorie</h2>
+            <button
+              className="ghost"
+              type="button"
+              onClick={downloadHistory}
+              disabled={Boolean(task) || !history}
+            >
+              Download Excel
+            </button>
+          </div>
+        </div>
+        <p className="note">
+          Laad twee of meer revisies van dezelfde eisenset (bijv. Rev A, B, C, D) in volgorde. Per
+          sleutel zie je de status in elke revisiestap.
+        </p>
+        <div className="upload-actions">
+          <label className="file">
+            Revisies toevoegen
+            <input
+              type="file"
+              accept={ACCEPTED_FILES}
+              multiple
+              disabled={Boolean(task)}
+              onChange={(event) => {
+                addRevisions(Array.from(event.target.files ?? []))
+                event.target.value = ''
+              }}
+            />
+          </label>
+        </div>
+        {revisions.length ? (
+          <ol className="revision-list">
+            {revisions.map((revision, index) => (
+              <li key={revision.id}>
+                <span>
+                  <strong>{revision.name}</strong> ({revision.format}, {revision.data.rows.length}{' '}
+                  rijen)
+                </span>
+                <button
+                  className="ghost small"
+                  type="button"
+                  onClick={() => moveRevision(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`${revision.name} omhoog`}
+                >
+                  ↑
+                </button>
+                <button
+                  className="ghost small"
+                  type="button"
+                  onClick={() => moveRevision(index, 1)}
+                  disabled={index === revisions.length - 1}
+                  aria-label={`${revision.name} omlaag`}
+                >
+                  ↓
+                </button>
+                <button
+                  className="ghost small"
+                  type="button"
+                  onClick={() => removeRevision(index)}
+                  aria-label={`${revision.name} verwijderen`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ol>
+        ) : null}
+        {revisions.length ? (
+          <div className="select-grid">
+            <div className="select-field">
+              <label htmlFor="historyKeys">Sleutel kolommen</label>
+              <select
+                id="historyKeys"
+                multiple
+                value={historyKeyHeaders}
+                onChange={(event) => {
+                  setHistory(null)
+                  setHistoryKeyCols(
+                    Array.from(event.target.selectedOptions, (option) => option.value)
+                  )
+                }}
+              >
+                {headerOptions(historyHeaders)}
+              </select>
+            </div>
+            <div className="select-field">
+              <label htmlFor="historyValues">Vergelijk kolommen</label>
+              <select
+                id="historyValues"
+                multiple
+                value={historyValueHeaders}
+                onChange={(event) => {
+                  setHistory(null)
+                  setHistoryValueCols(
+                    Array.from(event.target.selectedOptions, (option) => option.value)
+                  )
+                }}
+              >
+                {headerOptions(historyHeaders)}
+              </select>
+            </div>
+          </div>
+        ) : null}
+        <p className="note">
+          Kolommen worden in elke revisie op kolomnaam gezocht. Drempel en normalisatie komen uit de
+          instellingen hierboven.
+        </p>
+        <div className="upload-actions">
+          <button
+            className="primary"
+            type="button"
+            onClick={runHistory}
+            disabled={
+              Boolean(task) ||
+              revisions.length < 2 ||
+              !historyKeyHeaders.length ||
+              !historyValueHeaders.length
+            }
+          >
+            Historie opbouwen
+          </button>
+        </div>
+        {historyError ? <div className="error">{historyError}</div> : null}
+        {history ? <div className="output-section">{renderHistory(history)}</div> : null}
+      </section>
+      {task ? (
+        <div className="task-status" role="status" aria-live="polite">
+          <div className="task-status-header">
+            <strong>{task.title}</strong>
+            <button className="ghost small" type="button" onClick={() => engine.cancel()}>
+              Annuleren
+            </button>
+          </div>
+          {TASK_PHASES[task.type].map((phase, index, phases) => {
+            const started = phases.slice(index + 1).some((next) => next.id in task.progress)
+            const value = started ? 1 : task.progress[phase.id]
+            return (
+              <div key={phase.id} className="task-phase">
+                <span>{phase.label}</span>
+                {value === null ? (
+                  <progress aria-label={phase.label} />
+                ) : (
+                  <progress aria-label={phase.label} value={value ?? 0} max={1} />
+                )}
+              </div>
+            )
+          })}
+        </div>
+      ) : null}
       <div className={`help-fab-wrap ${showHelp ? 'open' : ''}`}>
         <button className="help-fab" type="button" onClick={() => setShowHelp((prev) => !prev)}>
           ?
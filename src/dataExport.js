@@ -0,0 +1,173 @@
+import { NORMALIZATION_OPTIONS, PROGRESS_STEP, STATUS_REMOVED, formatSimilarity } from './engine.js'
+import { hasReview, reviewKey } from './reviews.js'
+
+const DIFF_SCHEMA = 'eisencheck-diff'
+const DIFF_SCHEMA_VERSION = 1
+const CSV_DELIMITER = ';'
+
+const roundSimilarity = (value) => (value == null ? null : Math.round(value * 1000) / 1000)
+
+const exportLocation = (location) => ({ sheet: location.sheet, row: location.row })
+
+const exportDuplicateKeys = (entries = []) =>
+  entries.map(({ keyParts, locations }) => ({
+    key: keyParts,
+    rows: locations.map(exportLocation),
+  }))
+
+const exportEmptyKeyRows = (entries = []) =>
+  entries.map(({ keyParts, values, location }) => ({
+    ...exportLocation(location),
+    key: keyParts,
+    values,
+  }))
+
+const exportRow = (row, status, review) => ({
+  status,
+  ...(row.sheet != null ? { sheet: row.sheet } : {}),
+  key: row.keyParts,
+  previousKey: row.oldKeyParts ?? null,
+  locationA: row.locationA ? exportLocation(row.locationA) : null,
+  locationB: row.locationB ? exportLocation(row.locationB) : null,
+  oldValues: row.oldValues,
+  newValues: row.newValues ?? null,
+  contextValues: row.contextValues ?? [],
+  changedColumns: row.changedColumns ?? null,
+  similarity: roundSimilarity(row.similarity),
+  diffs: row.diffs ?? null,
+  review: hasReview(review)
+    ? { decision: review.decision, comment: review.comment, reassess: Boolean(review.reassess) }
+    : null,
+})
+
+const buildJsonExport = (report, onProgress = () => {}) => {
+  const { results, settings, meta, reviews = {} } = report
+  const total = results.rows.length + results.removed.length
+  let exported = 0
+  const track = (row, status, review) => {
+    if (exported % PROGRESS_STEP === 0) onProgress(exported / total)
+    exported += 1
+    return exportRow(row, status, review)
+  }
+  const { changedByColumn, ...counts } = results.stats
+  const data = {
+    schema: DIFF_SCHEMA,
+    schemaVersion: DIFF_SCHEMA_VERSION,
+    generatedAt: meta.generatedAt,
+    sources: { old: meta.fileA, new: meta.fileB },
+    settings: {
+      sheetMode: settings.sheetMode,
+      keyColumns: settings.keyColumns,
+      compareColumns: settings.compareColumns,
+      contextColumns: results.contextNames ?? [],
+      similarityThreshold: results.similarityThreshold,
+      normalization: Object.fromEntries(
+        NORMALIZATION_OPTIONS.map((option) => [
+          option.id,
+          Boolean(results.normalization[option.id]),
+        ])
+      ),
+    },
+    stats: {
+      ...counts,
+      changedByColumn: results.columnNames.map((column, index) => ({
+        column,
+        count: changedByColumn[index] ?? 0,
+      })),
+    },
+    duplicateKeys: {
+      old: exportDuplicateKeys(results.duplicateKeysA),
+      new: exportDuplicateKeys(results.duplicateKeysB),
+    },
+    emptyKeyRows: {
+      old: exportEmptyKeyRows(results.emptyKeyRowsA),
+      new: exportEmptyKeyRows(results.emptyKeyRowsB),
+    },
+    sheets: results.sheetBreakdown ?? null,
+    skippedSheets: results.skippedSheets ?? null,
+    rows: results.rows.map((row) => track(row, row.status, reviews[reviewKey(row)])),
+    removed: results.removed.map((row) => track(row, STATUS_REMOVED)),
+  }
+  const json = JSON.stringify(data, null, 2)
+  onProgress(1)
+  return json
+}
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '')
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const buildCsvExport = (report, onProgress = () => {}) => {
+  const { results, labels } = report
+  const columnNames = results.columnNames
+  const contextNames = results.contextNames ?? []
+  const contextCells = (row) => contextNames.map((_, index) => row.contextValues?.[index] ?? '')
+  const sheetColumn = results.sheetBreakdown ? ['Werkblad'] : []
+  const sheetCell = (row) => (results.sheetBreakdown ? [row.sheet] : [])
+  const total = results.rows.length + results.removed.length
+  const lines = [
+    [
+      ...sheetColumn,
+      'Status',
+      ...labels.keys,
+      ...labels.previousKeys,
+      ...labels.old,
+      ...labels.new,
+      ...contextNames,
+      'Gewijzigde kolommen',
+      'Overeenkomst',
+      'Werkblad bestand 1',
+      'Rij bestand 1',
+      'Werkblad bestand 2',
+      'Rij bestand 2',
+    ],
+  ]
+  const blankKey = labels.previousKeys.map(() => '')
+  const blankValues = columnNames.map(() => '')
+  const locationCells = (location) => (location ? [location.sheet, location.row] : ['', ''])
+  const changedNames = (row) =>
+    columnNames.filter((_, index) => row.changedColumns?.[index]).join(', ')
+
+  const push = (cells) => {
+    if ((lines.length - 1) % PROGRESS_STEP === 0) onProgress((lines.length - 1) / total)
+    lines.push(cells)
+  }
+
+  results.rows.forEach((row) => {
+    push([
+      ...sheetCell(row),
+      row.status,
+      ...row.keyParts,
+      ...(row.oldKeyParts ?? blankKey),
+      ...row.oldValues,
+      ...row.newValues,
+      ...contextCells(row),
+      changedNames(row),
+      formatSimilarity(row.similarity),
+      ...locationCells(row.locationA),
+      ...locationCells(row.locationB),
+    ])
+  })
+  results.removed.forEach((row) => {
+    push([
+      ...sheetCell(row),
+      STATUS_REMOVED,
+      ...row.keyParts,
+      ...blankKey,
+      ...row.oldValues,
+      ...blankValues,
+      ...contextCells(row),
+      '',
+      '',
+      ...locationCells(row.locationA),
+      ...locationCells(),
+    ])
+  })
+  const body = lines.map((cells) => cells.map(escapeCsv).join(CSV_DELIMITER)).join('\r\n')
+  const csv = `\uFEFF${body}\r\n`
+  onProgress(1)
+  return csv
+}
+
+export { DIFF_SCHEMA_VERSION, buildJsonExport, buildCsvExport }
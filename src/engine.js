@@ -0,0 +1,1164 @@
+const STATUS_UNCHANGED = 'Ongewijzigd'
+const STATUS_ADDED = 'Toegevoegd'
+const STATUS_CHANGED = 'Gewijzigd'
+const STATUS_RENUMBERED = 'Hernummerd'
+const STATUS_REMOVED = 'Vervallen'
+
+const LEGEND_ITEMS = [
+  { status: STATUS_UNCHANGED, color: 'green', note: 'Niets veranderd' },
+  { status: STATUS_ADDED, color: 'yellow', note: 'Nieuw toegevoegd in bestand 2' },
+  { status: STATUS_CHANGED, color: 'orange', note: 'Waarde gewijzigd t.o.v. bestand 1' },
+  { status: STATUS_RENUMBERED, color: 'blue', note: 'Zelfde tekst onder een andere sleutel' },
+]
+
+const RENUMBER_THRESHOLD = 0.9
+
+const NORMALIZATION_OPTIONS = [
+  { id: 'quotes', label: 'Krullende en rechte aanhalingstekens gelijkstellen' },
+  { id: 'spaces', label: 'Harde spaties en zachte afbreekstreepjes negeren' },
+  { id: 'case', label: 'Hoofdletters en kleine letters gelijkstellen' },
+  { id: 'trailingPunctuation', label: 'Leestekens aan het eind negeren' },
+  { id: 'dashes', label: 'En/em-streepjes gelijkstellen aan koppelteken' },
+  { id: 'bullets', label: 'Opsommingstekens gelijkstellen' },
+]
+
+const DEFAULT_NORMALIZATION = Object.fromEntries(
+  NORMALIZATION_OPTIONS.map((option) => [option.id, false])
+)
+
+const BULLET_PATTERN = /(^|\n)[ \t]*[•◦▪▫‣⁃●○■□·*–—-][ \t]+/g
+
+const normalizeCharacters = (text, options) => {
+  let next = text
+  if (options.spaces) {
+    next = next.replace(/[\u00AD\u2060]/g, '').replace(/[\u00A0\u2007\u202F]/g, ' ')
+  }
+  if (options.quotes) next = next.replace(/[‘’‚‛′`´]/g, "'").replace(/[“”„‟″«»]/g, '"')
+  if (options.dashes) next = next.replace(/[‐‑‒–—―−]/g, '-')
+  if (options.case) next = next.toLocaleLowerCase('nl')
+  return next
+}
+
+const normalizeVisible = (value, options) => {
+  let text = String(value ?? '').replace(/[\u200B-\u200D\uFEFF]/g, '')
+  if (options) {
+    text = normalizeCharacters(text, options)
+    if (options.bullets) text = text.replace(BULLET_PATTERN, '$1• ')
+  }
+  text = text.replace(/\s+/g, ' ').trim()
+  if (options?.trailingPunctuation) text = text.replace(/[\s.,;:!?]+$/, '')
+  return text
+}
+
+const tokenizeWords = (value) => String(value ?? '').match(/\s+|[^\s]+/g) ?? []
+
+const tokenCompareKey = (token, options) => {
+  if (/^\s+$/.test(token)) return ' '
+  const visible = token.replace(/[\u200B-\u200D\uFEFF]/g, '')
+  return options ? normalizeCharacters(visible, options) : visible
+}
+
+const MAX_DIFF_CELLS = 4000000
+
+const pushDiffPart = (parts, type, text) => {
+  if (!text) return
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
+
+const diffWords = (oldText, newText, options) => {
+  const tokensA = tokenizeWords(oldText)
+  const tokensB = tokenizeWords(newText)
+  const keysA = tokensA.map((token) => tokenCompareKey(token, options))
+  const keysB = tokensB.map((token) => tokenCompareKey(token, options))
+  const parts = []
+  let start = 0
+  while (start < keysA.length && start < keysB.length && keysA[start] === keysB[start]) {
+    start += 1
+  }
+  let endA = keysA.length
+  let endB = keysB.length
+  while (endA > start && endB > start && keysA[endA - 1] === keysB[endB - 1]) {
+    endA -= 1
+    endB -= 1
+  }
+  pushDiffPart(parts, 'equal', tokensA.slice(0, start).join(''))
+  const rows = endA - start
+  const cols = endB - start
+  if (rows * cols > MAX_DIFF_CELLS) {
+    pushDiffPart(parts, 'removed', tokensA.slice(start, endA).join(''))
+    pushDiffPart(parts, 'added', tokensB.slice(start, endB).join(''))
+  } else {
+    const width = cols + 1
+    const lengths = new Uint32Array((rows + 1) * width)
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        lengths[i * width + j] =
+          keysA[start + i] === keysB[start + j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1])
+      }
+    }
+    let i = 0
+    let j = 0
+    while (i < rows && j < cols) {
+      if (keysA[start + i] === keysB[start + j]) {
+        pushDiffPart(parts, 'equal', tokensB[start + j])
+        i += 1
+        j += 1
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        pushDiffPart(parts, 'removed', tokensA[start + i])
+        i += 1
+      } else {
+        pushDiffPart(parts, 'added', tokensB[start + j])
+        j += 1
+      }
+    }
+    pushDiffPart(parts, 'removed', tokensA.slice(start + i, endA).join(''))
+    pushDiffPart(parts, 'added', tokensB.slice(start + j, endB).join(''))
+  }
+  pushDiffPart(parts, 'equal', tokensB.slice(endB).join(''))
+  return parts
+}
+
+const HEADER_SCAN_ROWS = 50
+
+const isNumericText = (value) => /^[\d\s.,%+-]+$/.test(value)
+
+const detectHeaderRow = (grid) => {
+  const scanned = grid
+    .slice(0, HEADER_SCAN_ROWS)
+    .map((row) => row.map((value) => normalizeVisible(value)).filter(Boolean))
+  const widest = Math.max(0, ...scanned.map((cells) => cells.length))
+  if (!widest) return 1
+  const minimum = widest > 1 ? Math.max(2, Math.ceil(widest * 0.6)) : 1
+  const qualifies = (cells) =>
+    cells.length >= minimum &&
+    cells.every((value) => !isNumericText(value)) &&
+    new Set(cells).size === cells.length
+  const best = Math.max(0, ...scanned.filter(qualifies).map((cells) => cells.length))
+  // A short title block ("Project:", "Brug Noord") also qualifies, so take the first row that is
+  // nearly as wide as the widest candidate.
+  const index = scanned.findIndex(
+    (cells) => qualifies(cells) && cells.length >= best - Math.floor(best * 0.2)
+  )
+  if (index !== -1) return index + 1
+  return scanned.findIndex((cells) => cells.length) + 1
+}
+
+const toRowNumber = (value) => {
+  const number = Math.floor(Number(value))
+  return Number.isFinite(number) && number > 0 ? number : null
+}
+
+const parseGrid = (grid, range = {}) => {
+  const detectedHeaderRow = detectHeaderRow(grid)
+  const headerRow = toRowNumber(range.headerRow) ?? detectedHeaderRow
+  const headerValues = [...(grid[headerRow - 1] ?? [])]
+  while (headerValues.length && normalizeVisible(headerValues[headerValues.length - 1]) === '') {
+    headerValues.pop()
+  }
+  const headers = headerValues.map((value) => String(value ?? ''))
+  const lastRowLimit = Math.min(toRowNumber(range.lastRow) ?? grid.length, grid.length)
+  const stopMarker = normalizeVisible(range.stopMarker).toLowerCase()
+  const rows = []
+  const rowNumbers = []
+  let stoppedAt = null
+  for (let rowNumber = headerRow + 1; rowNumber <= lastRowLimit; rowNumber += 1) {
+    const source = grid[rowNumber - 1] ?? []
+    if (
+      stopMarker &&
+      source.some((value) => normalizeVisible(value).toLowerCase() === stopMarker)
+    ) {
+      stoppedAt = rowNumber
+      break
+    }
+    const values = headers.map((_, col) => source[col] ?? '')
+    if (values.some((value) => normalizeVisible(value) !== '')) {
+      rows.push(values)
+      rowNumbers.push(rowNumber)
+    }
+  }
+  return {
+    headers,
+    rows,
+    rowNumbers,
+    headerRow,
+    detectedHeaderRow,
+    firstRow: rowNumbers[0] ?? null,
+    lastRow: rowNumbers[rowNumbers.length - 1] ?? null,
+    stoppedAt,
+  }
+}
+
+const parseSource = (source, range) => {
+  if (!source) return null
+  return {
+    fileName: source.fileName,
+    sheets: source.sheets.map((sheet) => ({ name: sheet.name, ...parseGrid(sheet.grid, range) })),
+  }
+}
+
+const formatRange = (sheet) => {
+  const rowsText =
+    sheet.firstRow == null ? 'geen data' : `data rij ${sheet.firstRow}–${sheet.lastRow}`
+  const stopText = sheet.stoppedAt ? `, gestopt bij rij ${sheet.stoppedAt}` : ''
+  return `headers rij ${sheet.headerRow}, ${rowsText}${stopText}`
+}
+
+const buildHeaderCounts = (headers) => {
+  const counts = new Map()
+  headers
+    .map((header) => normalizeVisible(header))
+    .filter((header) => header !== '')
+    .forEach((header) => {
+      counts.set(header, (counts.get(header) ?? 0) + 1)
+    })
+  return counts
+}
+
+const compareHeaders = (headersA, headersB) => {
+  const countsA = buildHeaderCounts(headersA)
+  const countsB = buildHeaderCounts(headersB)
+  const missingInA = []
+  const missingInB = []
+  for (const [header, countB] of countsB.entries()) {
+    const countA = countsA.get(header) ?? 0
+    if (countA < countB) missingInA.push(header)
+  }
+  for (const [header, countA] of countsA.entries()) {
+    const countB = countsB.get(header) ?? 0
+    if (countB < countA) missingInB.push(header)
+  }
+  return {
+    ok: missingInA.length === 0 && missingInB.length === 0,
+    missingInA,
+    missingInB,
+  }
+}
+
+const KEY_SEPARATOR = ' / '
+
+const PROGRESS_STEP = 500
+
+const buildIndex = (data, keyIndexes, valueIndexes, contextIndexes, normalization, onProgress) => {
+  const { rows } = data
+  const map = new Map()
+  const keyOrder = []
+  const duplicates = new Set()
+  const emptyKeyRows = []
+  let emptyKeys = 0
+  rows.forEach((row, idx) => {
+    if (onProgress && idx % PROGRESS_STEP === 0) onProgress(idx / rows.length)
+    const rawKeyParts = keyIndexes.map((keyIndex) => String(row[keyIndex] ?? ''))
+    const normKeyParts = rawKeyParts.map((part) => normalizeVisible(part, normalization))
+    const rawValues = valueIndexes.map((valueIndex) => String(row[valueIndex] ?? ''))
+    const location = {
+      sheet: data.rowSheets?.[idx] ?? data.name ?? data.sheetName ?? '',
+      row: data.rowNumbers?.[idx] ?? idx + 2,
+    }
+    if (normKeyParts.some((part) => part === '')) {
+      emptyKeys += 1
+      emptyKeyRows.push({
+        key: rawKeyParts.join(KEY_SEPARATOR),
+        keyParts: rawKeyParts,
+        values: rawValues,
+        location,
+      })
+      return
+    }
+    const normKey = JSON.stringify(normKeyParts)
+    if (!map.has(normKey)) {
+      map.set(normKey, [])
+      keyOrder.push(normKey)
+    }
+    const list = map.get(normKey)
+    if (list.length) duplicates.add(normKey)
+    const normValues = valueIndexes.map((valueIndex) =>
+      normalizeVisible(row[valueIndex] ?? '', normalization)
+    )
+    list.push({
+      rawKey: rawKeyParts.join(KEY_SEPARATOR),
+      rawKeyParts,
+      rawValues,
+      normValues,
+      normValueKey: JSON.stringify(normValues),
+      contextValues: contextIndexes.map((index) => (index === -1 ? '' : String(row[index] ?? ''))),
+      location,
+      duplicateKey: false,
+    })
+  })
+  onProgress?.(1)
+  duplicates.forEach((normKey) => {
+    map.get(normKey).forEach((item) => {
+      item.duplicateKey = true
+    })
+  })
+  const duplicateKeys = [...duplicates].map((normKey) => {
+    const list = map.get(normKey)
+    return {
+      key: list[0].rawKey,
+      keyParts: list[0].rawKeyParts,
+      locations: list.map((item) => item.location),
+    }
+  })
+  return { map, keyOrder, duplicates, duplicateKeys, emptyKeys, emptyKeyRows }
+}
+
+const looseKeyPart = (part) => part.replace(/[\s\u200B-\u200D\uFEFF]+/g, '').toLowerCase()
+
+const findKeyVariants = (indexA, indexB) => {
+  const groups = new Map()
+  const sources = [
+    ['A', indexA],
+    ['B', indexB],
+  ]
+  sources.forEach(([file, index]) => {
+    index.map.forEach((list) => {
+      list.forEach((item) => {
+        const looseKey = JSON.stringify(item.rawKeyParts.map(looseKeyPart))
+        if (!groups.has(looseKey)) groups.set(looseKey, new Map())
+        const variants = groups.get(looseKey)
+        const variantKey = JSON.stringify([file, item.rawKey])
+        if (!variants.has(variantKey)) {
+          variants.set(variantKey, { file, key: item.rawKey, locations: [] })
+        }
+        variants.get(variantKey).locations.push(item.location)
+      })
+    })
+  })
+  return [...groups.values()]
+    .map((variants) => [...variants.values()])
+    .filter((variants) => new Set(variants.map((variant) => variant.key)).size > 1)
+}
+
+const matchByValue = (listA, listB) => {
+  const queuesA = new Map()
+  listA.forEach((item) => {
+    const queue = queuesA.get(item.normValueKey) ?? []
+    queue.push(item)
+    queuesA.set(item.normValueKey, queue)
+  })
+  const matchedA = new Set()
+  const matched = []
+  const remainingB = []
+  listB.forEach((item) => {
+    const queue = queuesA.get(item.normValueKey)
+    if (queue && queue.length) {
+      const a = queue.shift()
+      matchedA.add(a)
+      matched.push({ a, b: item })
+    } else {
+      remainingB.push(item)
+    }
+  })
+  return { matched, remainingA: listA.filter((item) => !matchedA.has(item)), remainingB }
+}
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length
+
+const textSimilarity = (valuesA, valuesB) => {
+  const textA = valuesA.join('\n')
+  const textB = valuesB.join('\n')
+  if (textA === textB) return 1
+  let equal = 0
+  let total = 0
+  diffWords(textA, textB).forEach((part) => {
+    const words = countWords(part.text)
+    if (part.type === 'equal') {
+      equal += words * 2
+      total += words * 2
+    } else {
+      total += words
+    }
+  })
+  return total ? equal / total : 1
+}
+
+const selectBestPairs = (candidates, usedA, usedB) => {
+  candidates.sort(
+    (left, right) =>
+      right.score - left.score || left.indexB - right.indexB || left.indexA - right.indexA
+  )
+  const pairs = []
+  candidates.forEach(({ indexA, indexB, score }) => {
+    if (usedA.has(indexA) || usedB.has(indexB)) return
+    usedA.add(indexA)
+    usedB.add(indexB)
+    pairs.push({ indexA, indexB, score })
+  })
+  return pairs
+}
+
+const MAX_SIMILARITY_CANDIDATES = 5
+const MAX_SIMILARITY_CHECKS = 500
+
+// Every occurrence of a word is its own token ("moet" twice gives moet#1 and moet#2), so the tokens
+// two rows share are their shared words and the word-level Dice score bounds textSimilarity.
+const indexWordTokens = (lists) => {
+  const ids = new Map()
+  const bags = lists.map((list) =>
+    list.map((item) => {
+      const seen = new Map()
+      return item.normValues
+        .join('\n')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => {
+          const occurrence = (seen.get(word) ?? 0) + 1
+          seen.set(word, occurrence)
+          const token = `${word}\u0000${occurrence}`
+          if (!ids.has(token)) ids.set(token, ids.size)
+          return ids.get(token)
+        })
+    })
+  )
+  const frequency = new Uint32Array(ids.size)
+  bags.flat().forEach((tokens) => {
+    tokens.forEach((id) => {
+      frequency[id] += 1
+    })
+  })
+  bags.flat().forEach((tokens) => {
+    tokens.sort((left, right) => frequency[left] - frequency[right] || left - right)
+  })
+  return { bags, tokenCount: ids.size }
+}
+
+// With tokens sorted rarest first, a pair can only reach the threshold when it shares one of the
+// first few tokens of both rows (prefix filtering), so common words never produce candidates. Rows
+// made up of common words only are checked against a bounded number of rows, rarest words first.
+const prefixLength = (size, threshold) => {
+  if (threshold <= 0) return size
+  const minimumShared = Math.max(Math.ceil((threshold * size) / (2 - threshold) - 1e-9), 1)
+  return Math.max(size - minimumShared + 1, 0)
+}
+
+const findSimilarPairs = (listA, listB, threshold, onProgress) => {
+  const {
+    bags: [bagsA, bagsB],
+    tokenCount,
+  } = indexWordTokens([listA, listB])
+  const postings = new Map()
+  bagsB.forEach((tokens, indexB) => {
+    tokens.slice(0, prefixLength(tokens.length, threshold)).forEach((id) => {
+      if (!postings.has(id)) postings.set(id, [])
+      postings.get(id).push(indexB)
+    })
+  })
+  const allIndexesB = listB.map((_, indexB) => indexB)
+  const markedBy = new Int32Array(tokenCount).fill(-1)
+  const visitedBy = new Int32Array(listB.length).fill(-1)
+  const candidates = []
+  bagsA.forEach((tokensA, indexA) => {
+    if (onProgress && indexA % PROGRESS_STEP === 0) onProgress(indexA / listA.length)
+    tokensA.forEach((id) => {
+      markedBy[id] = indexA
+    })
+    const best = []
+    let checks = 0
+    const consider = (indexB) => {
+      if (visitedBy[indexB] === indexA || checks >= MAX_SIMILARITY_CHECKS) return
+      visitedBy[indexB] = indexA
+      checks += 1
+      const tokensB = bagsB[indexB]
+      const total = tokensA.length + tokensB.length
+      // Stop counting as soon as too many words of B are missing from A to reach the threshold.
+      const allowedMisses = tokensB.length - Math.ceil((threshold * total) / 2 - 1e-9)
+      let shared = 0
+      for (let index = 0; index < tokensB.length; index += 1) {
+        if (markedBy[tokensB[index]] === indexA) shared += 1
+        else if (index + 1 - shared > allowedMisses) return
+      }
+      const bound = total ? (2 * shared) / total : 1
+      if (bound < threshold) return
+      best.push({ indexB, bound })
+      if (best.length > MAX_SIMILARITY_CANDIDATES) {
+        best.sort((left, right) => right.bound - left.bound || left.indexB - right.indexB)
+        best.pop()
+      }
+    }
+    if (threshold > 0) {
+      tokensA.slice(0, prefixLength(tokensA.length, threshold)).forEach((id) => {
+        postings.get(id)?.forEach(consider)
+      })
+    } else {
+      allIndexesB.forEach(consider)
+    }
+    best.forEach(({ indexB }) => {
+      const score = textSimilarity(listA[indexA].normValues, listB[indexB].normValues)
+      if (score >= threshold) candidates.push({ indexA, indexB, score })
+    })
+  })
+  onProgress?.(1)
+  return candidates
+}
+
+const pairBySimilarity = (listA, listB, threshold) => {
+  const candidates = findSimilarPairs(listA, listB, threshold)
+  const usedA = new Set()
+  const usedB = new Set()
+  const pairs = selectBestPairs(candidates, usedA, usedB)
+    .sort((left, right) => left.indexB - right.indexB)
+    .map(({ indexA, indexB, score }) => ({ a: listA[indexA], b: listB[indexB], score }))
+  return {
+    pairs,
+    remainingA: listA.filter((_, index) => !usedA.has(index)),
+    remainingB: listB.filter((_, index) => !usedB.has(index)),
+  }
+}
+
+const describeChanges = (a, b, normalization) => ({
+  changedColumns: a.normValues.map((value, index) => value !== b.normValues[index]),
+  diffs: a.rawValues.map((value, index) => diffWords(value, b.rawValues[index], normalization)),
+})
+
+const hasValues = (item) => item.normValues.some((value) => value !== '')
+
+const findRenumbered = (removedItems, addedItems, onProgress) => {
+  const usedA = new Set()
+  const usedB = new Set()
+  const pairs = []
+  const queues = new Map()
+  removedItems.forEach((item, indexA) => {
+    if (!hasValues(item)) return
+    const queue = queues.get(item.normValueKey) ?? []
+    queue.push(indexA)
+    queues.set(item.normValueKey, queue)
+  })
+  addedItems.forEach((item, indexB) => {
+    if (!hasValues(item)) return
+    const queue = queues.get(item.normValueKey)
+    if (!queue || !queue.length) return
+    const indexA = queue.shift()
+    usedA.add(indexA)
+    usedB.add(indexB)
+    pairs.push({ indexA, indexB, score: 1 })
+  })
+  const openA = removedItems
+    .map((_, indexA) => indexA)
+    .filter((indexA) => !usedA.has(indexA) && hasValues(removedItems[indexA]))
+  const openB = addedItems
+    .map((_, indexB) => indexB)
+    .filter((indexB) => !usedB.has(indexB) && hasValues(addedItems[indexB]))
+  const candidates = findSimilarPairs(
+    openA.map((indexA) => removedItems[indexA]),
+    openB.map((indexB) => addedItems[indexB]),
+    RENUMBER_THRESHOLD,
+    onProgress
+  ).map(({ indexA, indexB, score }) => ({ indexA: openA[indexA], indexB: openB[indexB], score }))
+  return [...pairs, ...selectBestPairs(candidates, usedA, usedB)]
+}
+
+const formatSimilarity = (score) => (score == null ? '' : `${Math.round(score * 100)}%`)
+
+const formatLocations = (locations) => {
+  const sheets = new Set(locations.map((location) => location.sheet))
+  if (sheets.size > 1) {
+    return locations.map((location) => `${location.sheet} rij ${location.row}`).join(', ')
+  }
+  const label = locations.length > 1 ? 'rijen' : 'rij'
+  return `${label} ${locations.map((location) => location.row).join(', ')}`
+}
+
+const formatDuplicateKey = ({ key, locations, sheet }) =>
+  `${sheet ? `${sheet}: ` : ''}${key} (${formatLocations(locations)})`
+
+const spansSheets = (rows, field) =>
+  new Set(rows.filter((row) => row[field]).map((row) => row[field].sheet)).size > 1
+
+const formatRowLocation = (location, withSheet) => {
+  if (!location) return ''
+  return withSheet ? `${location.sheet} rij ${location.row}` : location.row
+}
+
+const QUALITY_DUPLICATE_KEY = 'Dubbele sleutel'
+const QUALITY_EMPTY_KEY = 'Lege sleutel'
+const QUALITY_KEY_VARIANT = 'Afwijkende schrijfwijze'
+
+const QUALITY_FILE_LABELS = { A: 'Bestand 1', B: 'Bestand 2' }
+
+const listSheets = (locations) =>
+  [...new Set(locations.map((location) => location.sheet))].join(', ')
+
+const listDataQualityIssues = (results) => {
+  const issues = []
+  const perFile = [
+    ['A', results.duplicateKeysA, results.emptyKeyRowsA],
+    ['B', results.duplicateKeysB, results.emptyKeyRowsB],
+  ]
+  perFile.forEach(([file, duplicateKeys = [], emptyKeyRows = []]) => {
+    duplicateKeys.forEach((entry) => {
+      issues.push({
+        type: QUALITY_DUPLICATE_KEY,
+        file: QUALITY_FILE_LABELS[file],
+        sheet: listSheets(entry.locations),
+        key: entry.key,
+        rows: formatLocations(entry.locations),
+        details: `${entry.locations.length} rijen met dezelfde sleutel`,
+      })
+    })
+    emptyKeyRows.forEach((entry) => {
+      issues.push({
+        type: QUALITY_EMPTY_KEY,
+        file: QUALITY_FILE_LABELS[file],
+        sheet: entry.location.sheet,
+        key: entry.key,
+        rows: formatLocations([entry.location]),
+        details: entry.values.filter(Boolean).join(' / '),
+      })
+    })
+  })
+  const keyVariants = results.keyVariants ?? []
+  keyVariants.forEach((variants) => {
+    const files = [...new Set(variants.map((variant) => variant.file))]
+    issues.push({
+      type: QUALITY_KEY_VARIANT,
+      file: files.length > 1 ? 'Bestand 1 en 2' : QUALITY_FILE_LABELS[files[0]],
+      sheet: listSheets(variants.flatMap((variant) => variant.locations)),
+      key: variants.map((variant) => `"${variant.key}"`).join(', '),
+      rows: variants
+        .map(
+          (variant) =>
+            `"${variant.key}": ${QUALITY_FILE_LABELS[variant.file].toLowerCase()} ${formatLocations(variant.locations)}`
+        )
+        .join('; '),
+      details: 'Sleutels verschillen alleen in spaties of hoofdletters',
+    })
+  })
+  return issues
+}
+
+const compareDatasets = (dataA, dataB, settings, onProgress = () => {}) => {
+  const {
+    keyIndexesA,
+    keyIndexesB,
+    valueIndexesA,
+    valueIndexesB,
+    contextIndexesA = [],
+    contextIndexesB = [],
+    similarityThreshold,
+    normalization,
+  } = settings
+  const indexA = buildIndex(
+    dataA,
+    keyIndexesA,
+    valueIndexesA,
+    contextIndexesA,
+    normalization,
+    (value) => onProgress('indexA', value)
+  )
+  const indexB = buildIndex(
+    dataB,
+    keyIndexesB,
+    valueIndexesB,
+    contextIndexesB,
+    normalization,
+    (value) => onProgress('indexB', value)
+  )
+
+  const rows = []
+  const addedEntries = []
+  const removedEntries = []
+
+  const pushAdded = (item) => {
+    const row = {
+      status: STATUS_ADDED,
+      key: item.rawKey,
+      keyParts: item.rawKeyParts,
+      oldValues: valueIndexesA.map(() => ''),
+      newValues: item.rawValues,
+      contextValues: item.contextValues,
+      locationB: item.location,
+      duplicateKey: item.duplicateKey,
+    }
+    rows.push(row)
+    addedEntries.push({ row, item })
+  }
+  const pushRemoved = (item) => {
+    removedEntries.push({
+      row: {
+        key: item.rawKey,
+        keyParts: item.rawKeyParts,
+        oldValues: item.rawValues,
+        contextValues: item.contextValues,
+        locationA: item.location,
+      },
+      item,
+    })
+  }
+
+  const keysFromB = indexB.keyOrder
+  const keysFromA = indexA.keyOrder.filter((key) => !indexB.map.has(key))
+  const allKeys = [...keysFromB, ...keysFromA]
+
+  allKeys.forEach((key, keyIndex) => {
+    if (keyIndex % PROGRESS_STEP === 0) onProgress('match', (keyIndex / allKeys.length) * 0.9)
+    const listA = indexA.map.get(key) ?? []
+    const listB = indexB.map.get(key) ?? []
+    if (!listA.length && listB.length) {
+      listB.forEach(pushAdded)
+      return
+    }
+    if (!listB.length && listA.length) {
+      listA.forEach(pushRemoved)
+      return
+    }
+
+    const matched = matchByValue(listA, listB)
+    matched.matched.forEach(({ a, b }) => {
+      rows.push({
+        status: STATUS_UNCHANGED,
+        key: b.rawKey,
+        keyParts: b.rawKeyParts,
+        oldValues: a.rawValues,
+        newValues: b.rawValues,
+        contextValues: b.contextValues,
+        locationA: a.location,
+        locationB: b.location,
+        duplicateKey: b.duplicateKey,
+      })
+    })
+
+    const isDuplicateKey = listA.length > 1 || listB.length > 1
+    const paired = pairBySimilarity(
+      matched.remainingA,
+      matched.remainingB,
+      isDuplicateKey ? similarityThreshold / 100 : 0
+    )
+    paired.pairs.forEach(({ a, b, score }) => {
+      rows.push({
+        status: STATUS_CHANGED,
+        key: b.rawKey,
+        keyParts: b.rawKeyParts,
+        oldValues: a.rawValues,
+        newValues: b.rawValues,
+        contextValues: b.contextValues,
+        locationA: a.location,
+        locationB: b.location,
+        duplicateKey: b.duplicateKey,
+        similarity: score,
+        ...describeChanges(a, b, normalization),
+      })
+    })
+    paired.remainingB.forEach(pushAdded)
+    paired.remainingA.forEach(pushRemoved)
+  })
+
+  const renumberedA = new Set()
+  findRenumbered(
+    removedEntries.map((entry) => entry.item),
+    addedEntries.map((entry) => entry.item),
+    (value) => onProgress('match', 0.9 + value * 0.1)
+  ).forEach(({ indexA, indexB, score }) => {
+    const a = removedEntries[indexA].item
+    const b = addedEntries[indexB].item
+    renumberedA.add(indexA)
+    Object.assign(addedEntries[indexB].row, {
+      status: STATUS_RENUMBERED,
+      oldKey: a.rawKey,
+      oldKeyParts: a.rawKeyParts,
+      oldValues: a.rawValues,
+      locationA: a.location,
+      similarity: score,
+      ...(score < 1 ? describeChanges(a, b, normalization) : {}),
+    })
+  })
+  onProgress('match', 1)
+  const removed = removedEntries
+    .filter((_, index) => !renumberedA.has(index))
+    .map((entry) => entry.row)
+  const countStatus = (status) => rows.filter((row) => row.status === status).length
+  const changedByColumn = valueIndexesA.map(
+    (_, index) =>
+      rows.filter((row) => row.status === STATUS_CHANGED && row.changedColumns[index]).length
+  )
+
+  return {
+    rows,
+    removed,
+    stats: {
+      unchanged: countStatus(STATUS_UNCHANGED),
+      added: countStatus(STATUS_ADDED),
+      changed: countStatus(STATUS_CHANGED),
+      renumbered: countStatus(STATUS_RENUMBERED),
+      removed: removed.length,
+      changedByColumn,
+    },
+    duplicatesA: indexA.duplicates,
+    duplicatesB: indexB.duplicates,
+    duplicateKeysA: indexA.duplicateKeys,
+    duplicateKeysB: indexB.duplicateKeys,
+    emptyKeysA: indexA.emptyKeys,
+    emptyKeysB: indexB.emptyKeys,
+    emptyKeyRowsA: indexA.emptyKeyRows,
+    emptyKeyRowsB: indexB.emptyKeyRows,
+    keyVariants: findKeyVariants(indexA, indexB),
+  }
+}
+
+const SHEET_MODE_COMBINE = 'combine'
+const SHEET_MODE_PAIRWISE = 'pairwise'
+
+const normalizeHeaderName = (header) => normalizeVisible(header).toLowerCase()
+
+const mapColumnsByHeader = (targetHeaders, sourceHeaders) => {
+  const used = new Set()
+  return targetHeaders.map((header) => {
+    const name = normalizeHeaderName(header)
+    const index = sourceHeaders.findIndex(
+      (candidate, candidateIndex) =>
+        !used.has(candidateIndex) && normalizeHeaderName(candidate) === name
+    )
+    if (index !== -1) used.add(index)
+    return index
+  })
+}
+
+const combineSheets = (file, selection) => {
+  if (!file) return null
+  const sheets = selection.map((index) => file.sheets[Number(index)]).filter(Boolean)
+  if (!sheets.length) return null
+  const [first, ...rest] = sheets
+  const rows = [...first.rows]
+  const rowNumbers = [...first.rowNumbers]
+  const rowSheets = first.rows.map(() => first.name)
+  rest.forEach((sheet) => {
+    const columnMap = mapColumnsByHeader(first.headers, sheet.headers)
+    sheet.rows.forEach((row, index) => {
+      rows.push(columnMap.map((column) => (column === -1 ? '' : (row[column] ?? ''))))
+      rowNumbers.push(sheet.rowNumbers[index])
+      rowSheets.push(sheet.name)
+    })
+  })
+  return {
+    fileName: file.fileName,
+    sheetName: sheets.map((sheet) => sheet.name).join(', '),
+    ranges: sheets.map((sheet) => ({ name: sheet.name, text: formatRange(sheet) })),
+    detectedHeaderRow: first.detectedHeaderRow,
+    headers: first.headers,
+    rows,
+    rowNumbers,
+    rowSheets,
+  }
+}
+
+const resolveSheetSettings = (settings, referenceA, referenceB, sheetA, sheetB) => {
+  const missing = new Set()
+  const resolve = (indexes, reference, sheet, required = true) => {
+    const columnMap = mapColumnsByHeader(reference, sheet.headers)
+    return indexes.map((index) => {
+      if (index === -1) return -1
+      if (columnMap[index] === -1 && required) missing.add(reference[index])
+      return columnMap[index]
+    })
+  }
+  const next = {
+    ...settings,
+    keyIndexesA: resolve(settings.keyIndexesA, referenceA, sheetA),
+    keyIndexesB: resolve(settings.keyIndexesB, referenceB, sheetB),
+    valueIndexesA: resolve(settings.valueIndexesA, referenceA, sheetA),
+    valueIndexesB: resolve(settings.valueIndexesB, referenceB, sheetB),
+    contextIndexesA: resolve(settings.contextIndexesA ?? [], referenceA, sheetA, false),
+    contextIndexesB: resolve(settings.contextIndexesB ?? [], referenceB, sheetB, false),
+  }
+  return { settings: next, missing: [...missing] }
+}
+
+const HEADER_MATCH_THRESHOLD = 0.45
+
+const compactHeader = (header) => normalizeHeaderName(header).replace(/[^\p{L}\p{N}]+/gu, '')
+
+const countBigrams = (text) => {
+  const counts = new Map()
+  for (let index = 0; index < text.length - 1; index += 1) {
+    const bigram = text.slice(index, index + 2)
+    counts.set(bigram, (counts.get(bigram) ?? 0) + 1)
+  }
+  return counts
+}
+
+const headerSimilarity = (left, right) => {
+  const a = compactHeader(left)
+  const b = compactHeader(right)
+  if (!a || !b) return 0
+  if (a === b) return 1
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix += 1
+  }
+  const prefixScore = Math.min(prefix / Math.min(a.length, b.length), 0.9)
+  const bigramsA = countBigrams(a)
+  const bigramsB = countBigrams(b)
+  let overlap = 0
+  bigramsA.forEach((count, bigram) => {
+    overlap += Math.min(count, bigramsB.get(bigram) ?? 0)
+  })
+  const bigramTotal = a.length - 1 + (b.length - 1)
+  const diceScore = bigramTotal > 0 ? (2 * overlap) / bigramTotal : 0
+  return Math.max(prefixScore, diceScore)
+}
+
+const suggestColumnMapping = (headersA, headersB) => {
+  const candidates = []
+  headersA.forEach((headerA, indexA) => {
+    headersB.forEach((headerB, indexB) => {
+      const nameScore = headerSimilarity(headerA, headerB)
+      if (!nameScore) return
+      const score = nameScore * 0.8 + (indexA === indexB ? 0.2 : 0)
+      if (score >= HEADER_MATCH_THRESHOLD) candidates.push({ indexA, indexB, score })
+    })
+  })
+  const mapping = {}
+  const scores = {}
+  selectBestPairs(candidates, new Set(), new Set()).forEach(({ indexA, indexB, score }) => {
+    mapping[String(indexA)] = String(indexB)
+    scores[String(indexA)] = score
+  })
+  return { mapping, scores }
+}
+
+const compareSheetPairs = (fileA, selectionA, fileB, selectionB, settings, onProgress) => {
+  const sheetsA = selectionA.map((index) => fileA.sheets[Number(index)]).filter(Boolean)
+  const sheetsB = selectionB.map((index) => fileB.sheets[Number(index)]).filter(Boolean)
+  if (!sheetsA.length || !sheetsB.length) {
+    throw new Error('Selecteer in beide bestanden minstens één werkblad om te vergelijken.')
+  }
+  const referenceA = sheetsA[0].headers
+  const referenceB = sheetsB[0].headers
+  const rows = []
+  const removed = []
+  const sheetBreakdown = []
+  const skippedSheets = []
+  const duplicatesA = new Set()
+  const duplicatesB = new Set()
+  const duplicateKeysA = []
+  const duplicateKeysB = []
+  const emptyKeyRowsA = []
+  const emptyKeyRowsB = []
+  const keyVariants = []
+  let emptyKeysA = 0
+  let emptyKeysB = 0
+  const pairedB = new Set()
+  sheetsA.forEach((sheetA, sheetIndex) => {
+    const sheetB = sheetsB.find(
+      (candidate) =>
+        !pairedB.has(candidate) &&
+        normalizeHeaderName(candidate.name) === normalizeHeaderName(sheetA.name)
+    )
+    if (!sheetB) {
+      skippedSheets.push({
+        sheet: sheetA.name,
+        reason: 'Geen werkblad met dezelfde naam in bestand 2',
+      })
+      return
+    }
+    pairedB.add(sheetB)
+    const resolved = resolveSheetSettings(settings, referenceA, referenceB, sheetA, sheetB)
+    if (resolved.missing.length) {
+      skippedSheets.push({
+        sheet: sheetA.name,
+        reason: `Kolommen ontbreken: ${resolved.missing.join(', ')}`,
+      })
+      return
+    }
+    const result = compareDatasets(sheetA, sheetB, resolved.settings, (phase, value) =>
+      onProgress?.(phase, (sheetIndex + value) / sheetsA.length)
+    )
+    rows.push(...result.rows.map((row) => ({ ...row, sheet: sheetA.name })))
+    removed.push(...result.removed.map((row) => ({ ...row, sheet: sheetA.name })))
+    result.duplicatesA.forEach((key) => duplicatesA.add(key))
+    result.duplicatesB.forEach((key) => duplicatesB.add(key))
+    duplicateKeysA.push(...result.duplicateKeysA.map((entry) => ({ ...entry, sheet: sheetA.name })))
+    duplicateKeysB.push(...result.duplicateKeysB.map((entry) => ({ ...entry, sheet: sheetB.name })))
+    emptyKeysA += result.emptyKeysA
+    emptyKeysB += result.emptyKeysB
+    emptyKeyRowsA.push(...result.emptyKeyRowsA)
+    emptyKeyRowsB.push(...result.emptyKeyRowsB)
+    keyVariants.push(...result.keyVariants)
+    sheetBreakdown.push({ sheet: sheetA.name, sheetB: sheetB.name, stats: result.stats })
+  })
+  sheetsB
+    .filter((sheetB) => !pairedB.has(sheetB))
+    .forEach((sheetB) => {
+      skippedSheets.push({
+        sheet: sheetB.name,
+        reason: 'Geen werkblad met dezelfde naam in bestand 1',
+      })
+    })
+  const stats = {
+    unchanged: 0,
+    added: 0,
+    changed: 0,
+    renumbered: 0,
+    removed: 0,
+    changedByColumn: settings.valueIndexesA.map(() => 0),
+  }
+  sheetBreakdown.forEach((entry) => {
+    Object.keys(stats).forEach((statKey) => {
+      if (statKey === 'changedByColumn') {
+        entry.stats.changedByColumn.forEach((count, index) => {
+          stats.changedByColumn[index] += count
+        })
+      } else {
+        stats[statKey] += entry.stats[statKey]
+      }
+    })
+  })
+  return {
+    rows,
+    removed,
+    stats,
+    duplicatesA,
+    duplicatesB,
+    duplicateKeysA,
+    duplicateKeysB,
+    emptyKeysA,
+    emptyKeysB,
+    emptyKeyRowsA,
+    emptyKeyRowsB,
+    keyVariants,
+    sheetBreakdown,
+    skippedSheets,
+  }
+}
+
+const HISTORY_STATUS_PRIORITY = {
+  [STATUS_UNCHANGED]: 0,
+  [STATUS_RENUMBERED]: 1,
+  [STATUS_ADDED]: 2,
+  [STATUS_REMOVED]: 2,
+  [STATUS_CHANGED]: 3,
+}
+
+const findHeaderIndexes = (headers, names) =>
+  names.map((name) =>
+    headers.findIndex((header) => normalizeHeaderName(header) === normalizeHeaderName(name))
+  )
+
+const formatHistoryStep = (cell) => {
+  if (!cell) return ''
+  return cell.note ? `${cell.status} (${cell.note})` : cell.status
+}
+
+const compareRevisions = (revisions, settings, onProgress = () => {}) => {
+  const { keyHeaders, valueHeaders, similarityThreshold, normalization } = settings
+  const columns = revisions.map((revision) => {
+    const keyIndexes = findHeaderIndexes(revision.headers, keyHeaders)
+    const valueIndexes = findHeaderIndexes(revision.headers, valueHeaders)
+    const missing = [...keyHeaders, ...valueHeaders].filter(
+      (_, index) => [...keyIndexes, ...valueIndexes][index] === -1
+    )
+    if (missing.length) {
+      throw new Error(`Kolommen ontbreken in ${revision.name}: ${missing.join(', ')}`)
+    }
+    return { keyIndexes, valueIndexes }
+  })
+  const stepCount = revisions.length - 1
+  const entries = new Map()
+  const getEntry = (keyParts) => {
+    const id = JSON.stringify(keyParts.map((part) => normalizeVisible(part, normalization)))
+    if (!entries.has(id)) {
+      entries.set(id, {
+        key: keyParts.join(KEY_SEPARATOR),
+        keyParts,
+        steps: Array.from({ length: stepCount }, () => null),
+      })
+    }
+    return entries.get(id)
+  }
+  const setStep = (keyParts, step, cell) => {
+    const entry = getEntry(keyParts)
+    const current = entry.steps[step]
+    if (
+      !current ||
+      HISTORY_STATUS_PRIORITY[cell.status] > HISTORY_STATUS_PRIORITY[current.status]
+    ) {
+      entry.steps[step] = cell
+    }
+  }
+
+  const transitions = []
+  for (let step = 0; step < stepCount; step += 1) {
+    const from = revisions[step]
+    const to = revisions[step + 1]
+    const result = compareDatasets(
+      from,
+      to,
+      {
+        keyIndexesA: columns[step].keyIndexes,
+        keyIndexesB: columns[step + 1].keyIndexes,
+        valueIndexesA: columns[step].valueIndexes,
+        valueIndexesB: columns[step + 1].valueIndexes,
+        similarityThreshold,
+        normalization,
+      },
+      (phase, value) => {
+        if (phase === 'match') onProgress('steps', (step + value) / stepCount)
+      }
+    )
+    result.rows.forEach((row) => {
+      if (row.status === STATUS_RENUMBERED) {
+        setStep(row.oldKeyParts, step, { status: STATUS_RENUMBERED, note: `naar ${row.key}` })
+        setStep(row.keyParts, step, { status: STATUS_RENUMBERED, note: `van ${row.oldKey}` })
+      } else {
+        setStep(row.keyParts, step, { status: row.status })
+      }
+    })
+    result.removed.forEach((row) => setStep(row.keyParts, step, { status: STATUS_REMOVED }))
+    transitions.push({ from: from.name, to: to.name, stats: result.stats })
+  }
+
+  const rows = [...entries.values()].map((entry) => ({
+    ...entry,
+    lifecycle: entry.steps
+      .map((cell, step) => {
+        if (!cell || cell.status === STATUS_UNCHANGED) return null
+        const note = cell.note ? ` ${cell.note}` : ''
+        return `${cell.status.toLowerCase()}${note} in ${transitions[step].to}`
+      })
+      .filter(Boolean)
+      .join(', '),
+  }))
+  onProgress('steps', 1)
+  return { revisions: revisions.map((revision) => revision.name), keyHeaders, transitions, rows }
+}
+
+export {
+  STATUS_UNCHANGED,
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_RENUMBERED,
+  STATUS_REMOVED,
+  LEGEND_ITEMS,
+  NORMALIZATION_OPTIONS,
+  DEFAULT_NORMALIZATION,
+  SHEET_MODE_COMBINE,
+  SHEET_MODE_PAIRWISE,
+  QUALITY_DUPLICATE_KEY,
+  QUALITY_EMPTY_KEY,
+  QUALITY_KEY_VARIANT,
+  PROGRESS_STEP,
+  normalizeVisible,
+  normalizeHeaderName,
+  findHeaderIndexes,
+  diffWords,
+  parseGrid,
+  parseSource,
+  compareHeaders,
+  combineSheets,
+  suggestColumnMapping,
+  compareDatasets,
+  compareSheetPairs,
+  compareRevisions,
+  formatSimilarity,
+  formatDuplicateKey,
+  spansSheets,
+  formatRowLocation,
+  listDataQualityIssues,
+  formatHistoryStep,
+}
@@ -0,0 +1,107 @@
+import {
+  SHEET_MODE_PAIRWISE,
+  compareDatasets,
+  compareRevisions,
+  compareSheetPairs,
+  parseSource,
+} from './engine.js'
+import { buildCsvExport, buildJsonExport } from './dataExport.js'
+import { decodeText, readSpreadsheet } from './formats.js'
+import { buildHtmlReport } from './report.js'
+import { parseReviewJson, parseReviewSheets } from './reviews.js'
+import { annotateWorkbook, buildHistoryWorkbook, buildResultWorkbook } from './workbook.js'
+
+const createReporter = (id) => {
+  const reported = new Map()
+  return (phase, value) => {
+    const rounded = value == null ? null : Math.floor(value * 100) / 100
+    if (reported.has(phase) && reported.get(phase) === rounded) return
+    reported.set(phase, rounded)
+    self.postMessage({ id, type: 'progress', phase, value: rounded })
+  }
+}
+
+const writeWorkbook = async (workbook, report) => {
+  report('write', null)
+  const buffer = await workbook.xlsx.writeBuffer()
+  report('write', 1)
+  return buffer
+}
+
+// The raw grids of bestand 1 and 2 stay here, so the page only receives the parsed rows. A
+// restarted worker has lost them and reads the file again.
+const sources = new Map()
+
+const loadSource = async ({ slot, id, file }, report) => {
+  const cached = sources.get(slot)
+  if (cached?.id === id) return cached.source
+  const { format, sheets } = await readSpreadsheet(await file.arrayBuffer(), file.name, report)
+  const source = { fileName: file.name, format, sheets }
+  if (slot) sources.set(slot, { id, source })
+  return source
+}
+
+const parseFile = async ({ range, ...reference }, report) => {
+  const source = await loadSource(reference, report)
+  report('parse', null)
+  const parsed = parseSource(source, range)
+  report('parse', 1)
+  return { format: source.format, ...parsed }
+}
+
+const resolveSources = async (references, report) => {
+  if (!references) return null
+  const [A, B] = await Promise.all(
+    [references.A, references.B].map(async ({ sheets, ...reference }) => {
+      const source = await loadSource(reference, report)
+      return sheets.map((index) => source.sheets[Number(index)]).filter(Boolean)
+    })
+  )
+  return { A, B }
+}
+
+const handlers = {
+  read: parseFile,
+  reparse: parseFile,
+  compare: ({ mode, dataA, dataB, fileA, fileB, selectionA, selectionB, settings }, report) =>
+    mode === SHEET_MODE_PAIRWISE
+      ? compareSheetPairs(fileA, selectionA, fileB, selectionB, settings, report)
+      : compareDatasets(dataA, dataB, settings, report),
+  export: async (payload, report) =>
+    writeWorkbook(
+      buildResultWorkbook(
+        { ...payload, sources: await resolveSources(payload.sources, report) },
+        (value) => report('rows', value)
+      ),
+      report
+    ),
+  annotate: async (payload, report) =>
+    writeWorkbook(await annotateWorkbook(payload, report), report),
+  json: (payload, report) => buildJsonExport(payload, (value) => report('rows', value)),
+  csv: (payload, report) => buildCsvExport(payload, (value) => report('rows', value)),
+  report: (payload, report) => buildHtmlReport(payload, (value) => report('rows', value)),
+  reviewImport: async ({ buffer, fileName }, report) => {
+    const entries = /\.json$/i.test(fileName)
+      ? parseReviewJson(decodeText(new Uint8Array(buffer)).text)
+      : parseReviewSheets((await readSpreadsheet(buffer, fileName, report)).sheets)
+    if (!entries.length) throw new Error('Geen beoordelingen gevonden in het bestand.')
+    return entries
+  },
+  history: ({ revisions, settings }, report) => compareRevisions(revisions, settings, report),
+  historyExport: ({ history }, report) =>
+    writeWorkbook(
+      buildHistoryWorkbook(history, (value) => report('rows', value)),
+      report
+    ),
+}
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data
+  try {
+    const result = await handlers[type](payload, createReporter(id))
+    self.postMessage({ id, type: 'result', result })
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    self.postMessage({ id, type: 'error', message })
+  }
+}
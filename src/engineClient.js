@@ -0,0 +1,60 @@
+const createCancelError = () => {
+  const error = new Error('Geannuleerd.')
+  error.name = 'AbortError'
+  return error
+}
+
+export const isCancelled = (err) => err instanceof Error && err.name === 'AbortError'
+
+export const createEngineClient = () => {
+  let worker = null
+  let nextId = 0
+  const pending = new Map()
+
+  const rejectAll = (error) => {
+    pending.forEach((task) => task.reject(error))
+    pending.clear()
+  }
+
+  const start = () => {
+    worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const { id, type } = event.data
+      const task = pending.get(id)
+      if (!task) return
+      if (type === 'progress') {
+        task.onProgress(event.data.phase, event.data.value)
+        return
+      }
+      pending.delete(id)
+      if (type === 'result') {
+        task.resolve(event.data.result)
+      } else {
+        task.reject(new Error(event.data.message))
+      }
+    }
+    worker.onerror = (event) => {
+      event.preventDefault()
+      worker.terminate()
+      worker = null
+      rejectAll(new Error(event.message || 'De verwerking is onverwacht gestopt.'))
+    }
+  }
+
+  const run = (type, payload, { onProgress = () => {}, transfer = [] } = {}) =>
+    new Promise((resolve, reject) => {
+      if (!worker) start()
+      nextId += 1
+      pending.set(nextId, { resolve, reject, onProgress })
+      worker.postMessage({ id: nextId, type, payload }, transfer)
+    })
+
+  const cancel = () => {
+    if (!worker) return
+    worker.terminate()
+    worker = null
+    rejectAll(createCancelError())
+  }
+
+  return { run, cancel }
+}
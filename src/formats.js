@@ -0,0 +1,230 @@
+import JSZip from 'jszip'
+import { SaxesParser } from 'saxes'
+import { normalizeVisible } from './engine.js'
+import { readWorkbook } from './workbook.js'
+
+const DELIMITERS = [';', ',', '\t', '|']
+const DELIMITER_LABELS = { ';': 'puntkomma', ',': 'komma', '\t': 'tab', '|': 'verticale streep' }
+const DELIMITER_SAMPLE_LINES = 20
+const ODS_MIME_TYPE = 'application/vnd.oasis.opendocument.spreadsheet'
+
+const trimTrailingEmpty = (values) => {
+  while (values.length && normalizeVisible(values[values.length - 1]) === '') {
+    values.pop()
+  }
+  return values
+}
+
+const getExtension = (fileName) => {
+  const match = /\.([^.]+)$/.exec(fileName ?? '')
+  return match ? match[1].toLowerCase() : ''
+}
+
+const startsWith = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte)
+
+const decodeText = (bytes) => {
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf])) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' }
+  }
+  if (startsWith(bytes, [0xff, 0xfe])) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16' }
+  }
+  if (startsWith(bytes, [0xfe, 0xff])) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16' }
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' }
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' }
+  }
+}
+
+const splitDelimited = (text, delimiter, maxRows = Infinity) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let index = 0
+  while (index < text.length && rows.length < maxRows) {
+    const char = text[index]
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      if (char === '\r' && text[index + 1] === '\n') index += 1
+    } else {
+      field += char
+    }
+    index += 1
+  }
+  if (rows.length < maxRows && (field !== '' || row.length)) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+const detectDelimiter = (text, fallback) => {
+  let best = { delimiter: fallback, score: 0 }
+  DELIMITERS.forEach((delimiter) => {
+    const counts = splitDelimited(text, delimiter, DELIMITER_SAMPLE_LINES)
+      .filter((row) => row.some((value) => value.trim() !== ''))
+      .map((row) => row.length)
+    const frequency = new Map()
+    counts.forEach((count) => frequency.set(count, (frequency.get(count) ?? 0) + 1))
+    frequency.forEach((lines, columns) => {
+      if (columns < 2) return
+      const score = lines * 1000 + columns
+      if (score > best.score) best = { delimiter, score }
+    })
+  })
+  return best.delimiter
+}
+
+const readDelimited = (bytes, fileName, onProgress) => {
+  onProgress('load', null)
+  const { text, encoding } = decodeText(bytes)
+  onProgress('load', 1)
+  const delimiter = detectDelimiter(text, getExtension(fileName) === 'tsv' ? '\t' : ',')
+  onProgress('sheets', 0)
+  const grid = splitDelimited(text, delimiter).map(trimTrailingEmpty)
+  onProgress('sheets', 1)
+  const name = (fileName ?? '').replace(/\.[^.]+$/, '') || 'Werkblad 1'
+  return {
+    format: `CSV (${DELIMITER_LABELS[delimiter]}, ${encoding})`,
+    sheets: [{ name, grid }],
+  }
+}
+
+const parseOdsContent = (xml) => {
+  const sheets = []
+  const parser = new SaxesParser()
+  let sheet = null
+  let row = null
+  let rowRepeat = 1
+  let pendingRows = 0
+  let cell = null
+  let pendingCells = 0
+  let paragraphs = 0
+  let inParagraph = false
+  let skipText = 0
+
+  parser.on('opentag', (node) => {
+    const { name, attributes } = node
+    if (name === 'table:table') {
+      sheet = { name: attributes['table:name'] || `Werkblad ${sheets.length + 1}`, grid: [] }
+      pendingRows = 0
+    } else if (name === 'table:table-row' && sheet) {
+      row = []
+      rowRepeat = Number(attributes['table:number-rows-repeated'] ?? 1)
+      pendingCells = 0
+    } else if ((name === 'table:table-cell' || name === 'table:covered-table-cell') && row) {
+      cell = {
+        text: '',
+        covered: name === 'table:covered-table-cell',
+        repeat: Number(attributes['table:number-columns-repeated'] ?? 1),
+      }
+      paragraphs = 0
+    } else if (name === 'office:annotation') {
+      skipText += 1
+    } else if (cell && !cell.covered && !skipText) {
+      if (name === 'text:p' || name === 'text:h') {
+        if (paragraphs > 0) cell.text += '\n'
+        paragraphs += 1
+        inParagraph = true
+      } else if (name === 'text:s') {
+        cell.text += ' '.repeat(Number(attributes['text:c'] ?? 1))
+      } else if (name === 'text:tab') {
+        cell.text += '\t'
+      } else if (name === 'text:line-break') {
+        cell.text += '\n'
+      }
+    }
+  })
+
+  parser.on('text', (text) => {
+    if (cell && !cell.covered && inParagraph && !skipText) cell.text += text
+  })
+
+  parser.on('closetag', (node) => {
+    const { name } = node
+    if (name === 'office:annotation' && skipText) {
+      skipText -= 1
+    } else if ((name === 'text:p' || name === 'text:h') && !skipText) {
+      inParagraph = false
+    } else if ((name === 'table:table-cell' || name === 'table:covered-table-cell') && cell) {
+      const text = cell.covered ? '' : cell.text
+      if (normalizeVisible(text) === '') {
+        pendingCells += cell.repeat
+      } else {
+        for (let index = 0; index < pendingCells; index += 1) row.push('')
+        for (let index = 0; index < cell.repeat; index += 1) row.push(text)
+        pendingCells = 0
+      }
+      cell = null
+    } else if (name === 'table:table-row' && row) {
+      if (!row.length) {
+        pendingRows += rowRepeat
+      } else {
+        for (let index = 0; index < pendingRows; index += 1) sheet.grid.push([])
+        for (let index = 0; index < rowRepeat; index += 1) sheet.grid.push([...row])
+        pendingRows = 0
+      }
+      row = null
+    } else if (name === 'table:table' && sheet) {
+      sheets.push(sheet)
+      sheet = null
+    }
+  })
+
+  parser.write(xml).close()
+  return sheets
+}
+
+const isOds = (bytes) =>
+  new TextDecoder('latin1').decode(bytes.subarray(30, 38 + ODS_MIME_TYPE.length)) ===
+  `mimetype${ODS_MIME_TYPE}`
+
+const readOds = async (zip, onProgress) => {
+  const content = zip.file('content.xml')
+  if (!content) throw new Error('Geen werkblad gevonden in het bestand.')
+  const xml = await content.async('string')
+  onProgress('load', 1)
+  onProgress('sheets', 0)
+  const sheets = parseOdsContent(xml)
+  onProgress('sheets', 1)
+  if (!sheets.length) throw new Error('Geen werkblad gevonden in het bestand.')
+  return { format: 'OpenDocument (.ods)', sheets }
+}
+
+const readSpreadsheet = async (buffer, fileName, onProgress = () => {}) => {
+  const bytes = new Uint8Array(buffer)
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0])) {
+    throw new Error(
+      'Oude Excel-bestanden (.xls) worden niet ondersteund. Sla het bestand op als .xlsx, .ods of .csv.'
+    )
+  }
+  if (!startsWith(bytes, [0x50, 0x4b])) return readDelimited(bytes, fileName, onProgress)
+  if (isOds(bytes)) {
+    onProgress('load', null)
+    return readOds(await JSZip.loadAsync(buffer), onProgress)
+  }
+  return { format: 'Excel (.xlsx)', sheets: await readWorkbook(buffer, onProgress) }
+}
+
+export { decodeText, detectDelimiter, splitDelimited, parseOdsContent, readSpreadsheet }
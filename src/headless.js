@@ -0,0 +1,127 @@
+import {
+  DEFAULT_NORMALIZATION,
+  SHEET_MODE_COMBINE,
+  combineSheets,
+  compareDatasets,
+  findHeaderIndexes,
+  normalizeHeaderName,
+  parseSource,
+} from './engine.js'
+import { readSpreadsheet } from './formats.js'
+import { buildResultWorkbook } from './workbook.js'
+
+const resolveColumns = (headers, names, fileName) => {
+  const indexes = findHeaderIndexes(headers, names)
+  const missing = names.filter((_, index) => indexes[index] === -1)
+  if (missing.length) throw new Error(`Kolommen ontbreken in ${fileName}: ${missing.join(', ')}`)
+  return indexes
+}
+
+const loadData = async (buffer, fileName, sheetNames, range) => {
+  const { format, sheets } = await readSpreadsheet(buffer, fileName)
+  const parsed = parseSource({ fileName, format, sheets }, range)
+  let selection
+  if (sheetNames?.length) {
+    selection = sheetNames.map((name) => {
+      const index = parsed.sheets.findIndex(
+        (sheet) => normalizeHeaderName(sheet.name) === normalizeHeaderName(name)
+      )
+      if (index === -1) throw new Error(`Werkblad "${name}" niet gevonden in ${fileName}.`)
+      return String(index)
+    })
+  } else {
+    const firstUsable = parsed.sheets.findIndex((sheet) => sheet.headers.length)
+    if (firstUsable === -1) throw new Error(`Geen headers gevonden in ${fileName}.`)
+    selection = [String(firstUsable)]
+  }
+  const data = combineSheets(parsed, selection)
+  return {
+    data,
+    meta: {
+      name: fileName,
+      format,
+      sheetName: data.sheetName,
+      ranges: data.ranges,
+      rows: data.rows.length,
+    },
+  }
+}
+
+const compareWorkbooks = async (bufferA, bufferB, options = {}) => {
+  const {
+    keyColumns = ['Eiscode'],
+    compareColumns = ['EisTekst'],
+    keyColumnsB = keyColumns,
+    compareColumnsB = compareColumns,
+    contextColumns = [],
+    sheetsA = [],
+    sheetsB = sheetsA,
+    range = {},
+    similarityThreshold = 50,
+    normalization = {},
+    fileNameA = 'bestand 1',
+    fileNameB = 'bestand 2',
+  } = options
+  if (!keyColumns.length || keyColumns.length !== keyColumnsB.length) {
+    throw new Error('Kies hetzelfde aantal sleutelkolommen in beide bestanden.')
+  }
+  if (!compareColumns.length || compareColumns.length !== compareColumnsB.length) {
+    throw new Error('Kies hetzelfde aantal vergelijkkolommen in beide bestanden.')
+  }
+  const sourceA = await loadData(bufferA, fileNameA, sheetsA, range)
+  const sourceB = await loadData(bufferB, fileNameB, sheetsB, range)
+  const dataA = sourceA.data
+  const dataB = sourceB.data
+  const settings = {
+    keyIndexesA: resolveColumns(dataA.headers, keyColumns, fileNameA),
+    keyIndexesB: resolveColumns(dataB.headers, keyColumnsB, fileNameB),
+    valueIndexesA: resolveColumns(dataA.headers, compareColumns, fileNameA),
+    valueIndexesB: resolveColumns(dataB.headers, compareColumnsB, fileNameB),
+    contextIndexesA: findHeaderIndexes(dataA.headers, contextColumns),
+    contextIndexesB: resolveColumns(dataB.headers, contextColumns, fileNameB),
+    similarityThreshold,
+    normalization: { ...DEFAULT_NORMALIZATION, ...normalization },
+  }
+  const results = compareDatasets(dataA, dataB, settings)
+  const headerNames = (data, indexes) => indexes.map((index) => data.headers[index])
+  const keyNames = headerNames(dataB, settings.keyIndexesB)
+  const oldNames = headerNames(dataA, settings.valueIndexesA)
+  const newNames = headerNames(dataB, settings.valueIndexesB)
+  return {
+    ...results,
+    similarityThreshold,
+    normalization: settings.normalization,
+    columnNames: newNames,
+    contextNames: headerNames(dataB, settings.contextIndexesB),
+    labels: {
+      keys: keyNames,
+      previousKeys: keyNames.map((name) => `Vorige ${name}`),
+      removedKeys: headerNames(dataA, settings.keyIndexesA),
+      old: oldNames.map((name) => `${name} [Oud]`),
+      new: newNames.map((name) => `${name} [Nieuw]`),
+    },
+    settings: {
+      sheetMode: SHEET_MODE_COMBINE,
+      keyColumns: { old: headerNames(dataA, settings.keyIndexesA), new: keyNames },
+      compareColumns: oldNames.map((name, index) => ({ old: name, new: newNames[index] })),
+    },
+    meta: { fileA: sourceA.meta, fileB: sourceB.meta },
+  }
+}
+
+const hasDifferences = ({ stats }) =>
+  stats.added + stats.changed + stats.renumbered + stats.removed > 0
+
+const buildReportWorkbook = (results, onProgress) =>
+  buildResultWorkbook(
+    {
+      results,
+      rows: results.rows,
+      removed: results.removed,
+      labels: results.labels,
+      filters: null,
+    },
+    onProgress
+  )
+
+export { compareWorkbooks, hasDifferences, buildReportWorkbook }
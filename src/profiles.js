@@ -0,0 +1,123 @@
+import {
+  DEFAULT_NORMALIZATION,
+  SHEET_MODE_COMBINE,
+  SHEET_MODE_PAIRWISE,
+  findHeaderIndexes,
+  normalizeHeaderName,
+} from './engine.js'
+
+const PROFILE_VERSION = 1
+const PROFILE_STORAGE_KEY = 'eisencheck-lab.profiles'
+const RANGE_FIELDS = ['headerRow', 'lastRow', 'stopMarker']
+
+const toNameList = (value) =>
+  Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item !== '') : []
+
+const toRange = (value) =>
+  Object.fromEntries(
+    RANGE_FIELDS.map((field) => [field, value?.[field] == null ? '' : String(value[field])])
+  )
+
+const normalizeProfile = (raw) => {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) {
+    throw new Error('Ongeldig profiel: naam ontbreekt.')
+  }
+  if (raw.version != null && raw.version > PROFILE_VERSION) {
+    throw new Error(`Profiel "${raw.name}" is gemaakt met een nieuwere versie van Eisencheck.`)
+  }
+  const threshold = Number(raw.similarityThreshold)
+  return {
+    version: PROFILE_VERSION,
+    name: raw.name.trim(),
+    sheetMode: raw.sheetMode === SHEET_MODE_PAIRWISE ? SHEET_MODE_PAIRWISE : SHEET_MODE_COMBINE,
+    sheets: { A: toNameList(raw.sheets?.A), B: toNameList(raw.sheets?.B) },
+    ranges: { A: toRange(raw.ranges?.A), B: toRange(raw.ranges?.B) },
+    keyColumns: { A: toNameList(raw.keyColumns?.A), B: toNameList(raw.keyColumns?.B) },
+    compareColumns: (Array.isArray(raw.compareColumns) ? raw.compareColumns : [])
+      .filter((pair) => typeof pair?.A === 'string' && pair.A !== '')
+      .map((pair) => ({ A: pair.A, B: typeof pair.B === 'string' ? pair.B : '' })),
+    contextColumns: toNameList(raw.contextColumns),
+    similarityThreshold: Number.isFinite(threshold) ? Math.min(Math.max(threshold, 0), 100) : 50,
+    normalization: Object.fromEntries(
+      Object.keys(DEFAULT_NORMALIZATION).map((id) => [id, Boolean(raw.normalization?.[id])])
+    ),
+  }
+}
+
+const loadProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) ?? '[]')
+    return stored.flatMap((profile) => {
+      try {
+        return [normalizeProfile(profile)]
+      } catch {
+        return []
+      }
+    })
+  } catch {
+    return []
+  }
+}
+
+const saveProfiles = (profiles) => {
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles))
+}
+
+const upsertProfiles = (profiles, incoming) => {
+  const names = new Set(incoming.map((profile) => profile.name))
+  return [...profiles.filter((profile) => !names.has(profile.name)), ...incoming].sort(
+    (left, right) => left.name.localeCompare(right.name, 'nl')
+  )
+}
+
+const serializeProfiles = (profiles) =>
+  JSON.stringify({ version: PROFILE_VERSION, profiles }, null, 2)
+
+const parseProfilesFile = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Het profielbestand is geen geldige JSON.')
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data]
+  if (!list.length) throw new Error('Geen profielen gevonden in het bestand.')
+  return list.map(normalizeProfile)
+}
+
+const resolveHeaderNames = (headers, names) => {
+  const indexes = findHeaderIndexes(headers, names).filter((index) => index !== -1)
+  return indexes.length ? indexes.map(String) : null
+}
+
+const resolveSheetNames = (sheets, names) => {
+  const wanted = new Set(names.map(normalizeHeaderName))
+  const indexes = sheets
+    .map((sheet, index) => (wanted.has(normalizeHeaderName(sheet.name)) ? String(index) : null))
+    .filter((index) => index !== null && sheets[Number(index)].headers.length)
+  return indexes.length ? indexes : null
+}
+
+const resolveColumnMapping = (profile, headersA, headersB) => {
+  if (!headersA || !headersB) return {}
+  const overrides = {}
+  profile.compareColumns.forEach((pair) => {
+    if (!pair.B) return
+    const [indexA] = findHeaderIndexes(headersA, [pair.A])
+    const [indexB] = findHeaderIndexes(headersB, [pair.B])
+    if (indexA !== -1 && indexB !== -1) overrides[String(indexA)] = String(indexB)
+  })
+  return overrides
+}
+
+export {
+  normalizeProfile,
+  loadProfiles,
+  saveProfiles,
+  upsertProfiles,
+  serializeProfiles,
+  parseProfilesFile,
+  resolveHeaderNames,
+  resolveSheetNames,
+  resolveColumnMapping,
+}
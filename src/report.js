@@ -0,0 +1,363 @@
+import {
+  LEGEND_ITEMS,
+  NORMALIZATION_OPTIONS,
+  PROGRESS_STEP,
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_REMOVED,
+  STATUS_RENUMBERED,
+  STATUS_UNCHANGED,
+  formatSimilarity,
+} from './engine.js'
+
+const REPORT_COLORS = {
+  green: '#e3f5df',
+  yellow: '#fff2c5',
+  orange: '#ffe6b7',
+  blue: '#dce8fb',
+  red: '#ffd9d1',
+}
+
+const REPORT_STYLES = `
+  * {
+    box-sizing: border-box;
+  }
+  body {
+    margin: 0;
+    padding: 32px;
+    font: 14px/1.5 'Segoe UI', Arial, sans-serif;
+    color: #111318;
+  }
+  h1 {
+    margin: 0 0 4px;
+    font-size: 1.6rem;
+  }
+  h2 {
+    margin: 32px 0 12px;
+    font-size: 1.2rem;
+    border-bottom: 2px solid #111318;
+    padding-bottom: 4px;
+  }
+  .generated {
+    color: #59637a;
+    margin: 0 0 24px;
+  }
+  .meta, .settings {
+    border-collapse: collapse;
+    margin-bottom: 8px;
+  }
+  .meta th, .meta td, .settings th, .settings td {
+    text-align: left;
+    padding: 4px 16px 4px 0;
+    vertical-align: top;
+  }
+  .stats {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 12px;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+  .stats li {
+    min-width: 130px;
+    padding: 10px 14px;
+    border-radius: 10px;
+  }
+  .stats strong {
+    display: block;
+    font-size: 1.4rem;
+  }
+  .legend {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px 20px;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+  .legend li::before {
+    content: '';
+    display: inline-block;
+    width: 12px;
+    height: 12px;
+    margin-right: 6px;
+    border-radius: 3px;
+    background: var(--swatch);
+    vertical-align: -1px;
+  }
+  table.rows {
+    width: 100%;
+    border-collapse: collapse;
+    table-layout: fixed;
+  }
+  table.rows th, table.rows td {
+    border: 1px solid #d5d9e2;
+    padding: 6px 8px;
+    text-align: left;
+    vertical-align: top;
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+  }
+  table.rows th {
+    background: #f1f2f5;
+    font-size: 0.8rem;
+    text-transform: uppercase;
+    letter-spacing: 0.04em;
+  }
+  table.rows td.changed {
+    box-shadow: inset 3px 0 0 #e08a1e;
+  }
+  del {
+    color: #b3261e;
+    text-decoration: line-through;
+  }
+  ins {
+    color: #1b6e2e;
+    font-weight: 600;
+    text-decoration: underline;
+  }
+  .empty {
+    color: #59637a;
+    font-style: italic;
+  }
+  @page {
+    size: A4 landscape;
+    margin: 14mm;
+  }
+  @media print {
+    body {
+      padding: 0;
+      font-size: 11px;
+    }
+    * {
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+    h2 {
+      break-after: avoid;
+    }
+    thead {
+      display: table-header-group;
+    }
+    tr {
+      break-inside: avoid;
+    }
+  }
+`
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const renderDiffHtml = (parts) =>
+  parts
+    .map((part) => {
+      if (part.type === 'removed') return `<del>${escapeHtml(part.text)}</del>`
+      if (part.type === 'added') return `<ins>${escapeHtml(part.text)}</ins>`
+      return escapeHtml(part.text)
+    })
+    .join('')
+
+const renderTable = (headers, rows, color) => {
+  if (!rows.length) return '<p class="empty">Geen eisen.</p>'
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')
+  const body = rows
+    .map(
+      (cells) =>
+        `<tr style="background:${color}">${cells
+          .map((cell) => `<td${cell.changed ? ' class="changed"' : ''}>${cell.html}</td>`)
+          .join('')}</tr>`
+    )
+    .join('\n')
+  return `<table class="rows"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`
+}
+
+const textCell = (value) => ({ html: escapeHtml(value) })
+
+const buildHtmlReport = (report, onProgress = () => {}) => {
+  const { results, labels, meta } = report
+  const columnNames = results.columnNames
+  const contextNames = results.contextNames ?? []
+  const sheetColumn = results.sheetBreakdown ? ['Werkblad'] : []
+  const sheetCell = (row) => (results.sheetBreakdown ? [textCell(row.sheet)] : [])
+  const contextCells = (row) =>
+    contextNames.map((_, index) => textCell(row.contextValues?.[index] ?? ''))
+  let rendered = 0
+  const track = () => {
+    if (rendered % PROGRESS_STEP === 0) {
+      onProgress(rendered / (results.rows.length + results.removed.length))
+    }
+    rendered += 1
+  }
+
+  const changedCells = (row) =>
+    row.newValues.map((value, index) => {
+      if (!row.diffs || !row.changedColumns?.[index]) return textCell(value)
+      return { html: renderDiffHtml(row.diffs[index]), changed: true }
+    })
+
+  const changedRows = results.rows
+    .filter((row) => row.status === STATUS_CHANGED)
+    .map((row) => {
+      track()
+      return [
+        ...sheetCell(row),
+        ...row.keyParts.map(textCell),
+        ...changedCells(row),
+        ...contextCells(row),
+        textCell(formatSimilarity(row.similarity)),
+      ]
+    })
+  const renumberedRows = results.rows
+    .filter((row) => row.status === STATUS_RENUMBERED)
+    .map((row) => {
+      track()
+      return [
+        ...sheetCell(row),
+        ...row.keyParts.map(textCell),
+        ...row.oldKeyParts.map(textCell),
+        ...changedCells(row),
+        ...contextCells(row),
+        textCell(formatSimilarity(row.similarity)),
+      ]
+    })
+  const addedRows = results.rows
+    .filter((row) => row.status === STATUS_ADDED)
+    .map((row) => {
+      track()
+      return [
+        ...sheetCell(row),
+        ...row.keyParts.map(textCell),
+        ...row.newValues.map(textCell),
+        ...contextCells(row),
+      ]
+    })
+  const removedRows = results.removed.map((row) => {
+    track()
+    return [
+      ...sheetCell(row),
+      ...row.keyParts.map(textCell),
+      ...row.oldValues.map(textCell),
+      ...contextCells(row),
+    ]
+  })
+
+  const legend = [
+    ...LEGEND_ITEMS,
+    { status: STATUS_REMOVED, color: 'red', note: 'Alleen in bestand 1' },
+  ]
+  const stats = [
+    { status: STATUS_UNCHANGED, color: 'green', count: results.stats.unchanged },
+    { status: STATUS_ADDED, color: 'yellow', count: results.stats.added },
+    { status: STATUS_CHANGED, color: 'orange', count: results.stats.changed },
+    { status: STATUS_RENUMBERED, color: 'blue', count: results.stats.renumbered },
+    { status: STATUS_REMOVED, color: 'red', count: results.stats.removed },
+  ]
+  const normalization =
+    NORMALIZATION_OPTIONS.filter((option) => results.normalization[option.id])
+      .map((option) => option.label)
+      .join(', ') || 'Alleen spaties, returns en onzichtbare tekens'
+  const fileRow = (label, file) =>
+    `<tr><th>${label}</th><td>${escapeHtml(file.name)}</td><td>Werkblad: ${escapeHtml(
+      file.sheetName
+    )}</td><td>${file.rows} rijen</td></tr>`
+
+  const statItems = stats
+    .map(
+      (item) =>
+        `<li style="background:${REPORT_COLORS[item.color]}"><strong>${item.count}</strong>` +
+        `${escapeHtml(item.status)}</li>`
+    )
+    .join('\n')
+  const legendItems = legend
+    .map(
+      (item) =>
+        `<li style="--swatch:${REPORT_COLORS[item.color]}">` +
+        `<strong>${escapeHtml(item.status)}</strong>: ${escapeHtml(item.note)}</li>`
+    )
+    .join('\n')
+  const changedTable = renderTable(
+    [...sheetColumn, ...labels.keys, ...columnNames, ...contextNames, 'Overeenkomst'],
+    changedRows,
+    REPORT_COLORS.orange
+  )
+  const renumberedTable = renderTable(
+    [
+      ...sheetColumn,
+      ...labels.keys,
+      ...labels.previousKeys,
+      ...columnNames,
+      ...contextNames,
+      'Overeenkomst',
+    ],
+    renumberedRows,
+    REPORT_COLORS.blue
+  )
+  const addedTable = renderTable(
+    [...sheetColumn, ...labels.keys, ...columnNames, ...contextNames],
+    addedRows,
+    REPORT_COLORS.yellow
+  )
+  const removedTable = renderTable(
+    [...sheetColumn, ...labels.removedKeys, ...columnNames, ...contextNames],
+    removedRows,
+    REPORT_COLORS.red
+  )
+
+  const html = `<!doctype html>
+<html lang="nl">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Eisencheck rapport – ${escapeHtml(meta.fileB.name)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>Eisencheck rapport</h1>
+<p class="generated">Gemaakt op ${escapeHtml(meta.generatedAt)}</p>
+<table class="meta">
+${fileRow('Bestand 1 (oud)', meta.fileA)}
+${fileRow('Bestand 2 (nieuw)', meta.fileB)}
+</table>
+<table class="settings">
+<tr><th>Sleutel</th><td>${escapeHtml(labels.keys.join(' + '))}</td></tr>
+<tr><th>Vergeleken kolommen</th><td>${escapeHtml(columnNames.join(', '))}</td></tr>
+<tr><th>Drempel dubbele sleutels</th><td>${results.similarityThreshold}%</td></tr>
+<tr><th>Normalisatie</th><td>${escapeHtml(normalization)}</td></tr>
+</table>
+
+<h2>Samenvatting</h2>
+<ul class="stats">
+${statItems}
+</ul>
+
+<h2>Legenda</h2>
+<ul class="legend">
+${legendItems}
+<li><del>doorgestreept</del>: tekst verwijderd t.o.v. bestand 1</li>
+<li><ins>onderstreept</ins>: tekst toegevoegd in bestand 2</li>
+</ul>
+
+<h2>Gewijzigd (${changedRows.length})</h2>
+${changedTable}
+
+<h2>Hernummerd (${renumberedRows.length})</h2>
+${renumberedTable}
+
+<h2>Toegevoegd (${addedRows.length})</h2>
+${addedTable}
+
+<h2>Vervallen (${removedRows.length})</h2>
+${removedTable}
+</body>
+</html>
+`
+  onProgress(1)
+  return html
+}
+
+export { buildHtmlReport }
@@ -0,0 +1,233 @@
+import { STATUS_ADDED, STATUS_CHANGED, STATUS_RENUMBERED, normalizeVisible } from './engine.js'
+
+const REVIEW_ACCEPTED = 'Geaccepteerd'
+const REVIEW_REJECTED = 'Afgewezen'
+const REVIEW_QUESTION = 'Vraag'
+const REVIEW_DECISIONS = [REVIEW_ACCEPTED, REVIEW_REJECTED, REVIEW_QUESTION]
+const REVIEW_REASSESS = 'Opnieuw te beoordelen'
+
+const REVIEW_DATABASE = 'eisencheck-lab'
+const REVIEW_STORE = 'reviews'
+const REVIEWABLE_STATUSES = new Set([STATUS_ADDED, STATUS_CHANGED, STATUS_RENUMBERED])
+
+const isReviewable = (row) => REVIEWABLE_STATUSES.has(row.status)
+
+// Rows sharing a key in bestand 2 are told apart by their text, so each keeps its own review.
+const reviewKey = (row) =>
+  JSON.stringify([
+    row.sheet ?? '',
+    ...row.keyParts,
+    ...(row.duplicateKey ? row.newValues.map((value) => normalizeVisible(value)) : []),
+  ])
+
+const hasReview = (review) => Boolean(review?.decision || review?.comment || review?.reassess)
+
+const formatReviewDecision = (review) =>
+  review?.decision || (review?.reassess ? REVIEW_REASSESS : '')
+
+const pairKey = (fileA, fileB) => JSON.stringify([fileA, fileB])
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(REVIEW_DATABASE, 1)
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(REVIEW_STORE, { keyPath: 'id' })
+      store.createIndex('pair', 'pair')
+    }
+    databasePromise = requestResult(request).catch((err) => {
+      databasePromise = null
+      throw err
+    })
+  }
+  return databasePromise
+}
+
+const withStore = async (mode, action) => {
+  const database = await openDatabase()
+  const transaction = database.transaction(REVIEW_STORE, mode)
+  const store = transaction.objectStore(REVIEW_STORE)
+  const result = action(store)
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+  return result?.result
+}
+
+const loadReviews = async (fileA, fileB) => {
+  const records = await withStore('readonly', (store) =>
+    store.index('pair').getAll(pairKey(fileA, fileB))
+  )
+  return Object.fromEntries(
+    records.map((record) => [
+      record.key,
+      {
+        decision: record.decision,
+        comment: record.comment,
+        reassess: Boolean(record.reassess),
+        previousDecision: record.previousDecision ?? '',
+      },
+    ])
+  )
+}
+
+const saveReviews = (fileA, fileB, reviews) =>
+  withStore('readwrite', (store) => {
+    const pair = pairKey(fileA, fileB)
+    const updatedAt = new Date().toISOString()
+    Object.entries(reviews).forEach(([key, review]) => {
+      const id = JSON.stringify([fileA, fileB, key])
+      if (hasReview(review)) {
+        store.put({ id, pair, key, ...review, updatedAt })
+      } else {
+        store.delete(id)
+      }
+    })
+  })
+
+const saveReview = (fileA, fileB, key, review) => saveReviews(fileA, fileB, { [key]: review })
+
+const countReviews = (rows, reviews) => {
+  const counts = {}
+  rows.forEach((row) => {
+    if (!isReviewable(row)) return
+    const count = counts[row.status] ?? { total: 0, reviewed: 0, reassess: 0 }
+    const review = reviews[reviewKey(row)]
+    count.total += 1
+    if (review?.decision) count.reviewed += 1
+    if (review?.reassess && !review.decision) count.reassess += 1
+    counts[row.status] = count
+  })
+  return counts
+}
+
+const toImportedReview = (decision, comment) => {
+  const text = normalizeVisible(decision).toLowerCase()
+  return {
+    decision: REVIEW_DECISIONS.find((option) => option.toLowerCase() === text) ?? '',
+    comment: String(comment ?? '').trim(),
+    reassess: text === REVIEW_REASSESS.toLowerCase(),
+  }
+}
+
+const parseReviewJson = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Het bestand is geen geldige JSON.')
+  }
+  if (data?.schema !== 'eisencheck-diff' || !Array.isArray(data.rows)) {
+    throw new Error('Het bestand is geen JSON-export van Eisencheck.')
+  }
+  return data.rows
+    .filter((row) => hasReview(row.review) && Array.isArray(row.key))
+    .map((row) => ({
+      sheet: row.sheet ?? '',
+      keyParts: row.key.map(String),
+      newValues: (row.newValues ?? []).map(String),
+      ...toImportedReview(formatReviewDecision(row.review), row.review.comment),
+    }))
+}
+
+const parseReviewSheets = (sheets) => {
+  const entries = []
+  sheets.forEach((sheet) => {
+    const [headers = [], ...rows] = sheet.grid
+    const names = headers.map((header) => normalizeVisible(header))
+    const decisionIndex = names.indexOf('Beoordeling')
+    const commentIndex = names.indexOf('Opmerking')
+    const previousKeyIndex = names.findIndex((name) => name.startsWith('Vorige '))
+    if (decisionIndex === -1 || previousKeyIndex < 1) return
+    const newIndexes = names.flatMap((name, index) => (name.endsWith('[Nieuw]') ? [index] : []))
+    const sheetName = /^Resultaat (.+)$/.exec(sheet.name)?.[1] ?? ''
+    rows.forEach((row) => {
+      const review = toImportedReview(row[decisionIndex], row[commentIndex])
+      if (!hasReview(review)) return
+      entries.push({
+        sheet: sheetName,
+        keyParts: row.slice(0, previousKeyIndex).map((value) => String(value ?? '')),
+        newValues: newIndexes.map((index) => String(row[index] ?? '')),
+        ...review,
+      })
+    })
+  })
+  return entries
+}
+
+const carryForwardReviews = (rows, entries, current) => {
+  const entryKey = (sheet, keyParts) =>
+    JSON.stringify([
+      normalizeVisible(sheet).toLowerCase(),
+      ...keyParts.map((part) => normalizeVisible(part)),
+    ])
+  const textKey = (values) => JSON.stringify(values.map((value) => normalizeVisible(value)))
+  const previous = new Map()
+  entries.forEach((entry) => {
+    const key = entryKey(entry.sheet, entry.keyParts)
+    if (!previous.has(key)) previous.set(key, [])
+    previous.get(key).push(entry)
+  })
+  const used = new Set()
+  const reviews = {}
+  let kept = 0
+  let reassess = 0
+  rows.forEach((row) => {
+    const key = reviewKey(row)
+    if (current[key]?.decision || reviews[key]) return
+    const group = previous.get(entryKey(row.sheet ?? '', row.keyParts)) ?? []
+    const text = textKey(row.newValues)
+    // Under a duplicated key only the text tells the rows apart, so only exact matches carry over.
+    const entry =
+      group.find((candidate) => !used.has(candidate) && textKey(candidate.newValues) === text) ??
+      (group.length === 1 && !row.duplicateKey && !used.has(group[0]) ? group[0] : null)
+    if (!entry) return
+    used.add(entry)
+    if (textKey(entry.newValues) === text) {
+      reviews[key] = {
+        decision: entry.decision,
+        comment: entry.comment,
+        reassess: entry.reassess,
+        previousDecision: '',
+      }
+      kept += 1
+    } else {
+      reviews[key] = {
+        decision: '',
+        comment: entry.comment,
+        reassess: true,
+        previousDecision: entry.decision,
+      }
+      reassess += 1
+    }
+  })
+  return { reviews, kept, reassess }
+}
+
+export {
+  REVIEW_ACCEPTED,
+  REVIEW_REJECTED,
+  REVIEW_QUESTION,
+  REVIEW_DECISIONS,
+  REVIEW_REASSESS,
+  isReviewable,
+  reviewKey,
+  hasReview,
+  formatReviewDecision,
+  loadReviews,
+  saveReview,
+  saveReviews,
+  countReviews,
+  parseReviewJson,
+  parseReviewSheets,
+  carryForwardReviews,
+}
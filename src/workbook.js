@@ -0,0 +1,520 @@
+import ExcelJS from 'exceljs'
+import {
+  LEGEND_ITEMS,
+  NORMALIZATION_OPTIONS,
+  PROGRESS_STEP,
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_REMOVED,
+  STATUS_RENUMBERED,
+  STATUS_UNCHANGED,
+  formatHistoryStep,
+  formatRowLocation,
+  listDataQualityIssues,
+  normalizeVisible,
+  spansSheets,
+} from './engine.js'
+import { formatReviewDecision, reviewKey } from './reviews.js'
+
+const CHANGED_CELL_FILL = 'FFFFCB80'
+
+const STATUS_FILLS = {
+  [STATUS_UNCHANGED]: 'FFE3F5DF',
+  [STATUS_ADDED]: 'FFFFF2C5',
+  [STATUS_CHANGED]: 'FFFFE6B7',
+  [STATUS_RENUMBERED]: 'FFDCE8FB',
+  [STATUS_REMOVED]: 'FFFFD9D1',
+}
+
+const DIFF_FONT_REMOVED = { strike: true, color: { argb: 'FFB3261E' } }
+const DIFF_FONT_ADDED = { bold: true, underline: true, color: { argb: 'FF1B6E2E' } }
+const LINK_FONT = { underline: true, color: { argb: 'FF0563C1' } }
+
+const buildDiffRichText = (parts, side) => {
+  const runs = parts
+    .filter((part) => part.type === 'equal' || part.type === side)
+    .map((part) => {
+      if (part.type === 'equal') return { text: part.text }
+      return { text: part.text, font: side === 'removed' ? DIFF_FONT_REMOVED : DIFF_FONT_ADDED }
+    })
+  return runs.length ? { richText: runs } : ''
+}
+
+const getCellText = (cell) => {
+  if (!cell) return ''
+  if (cell.text != null && String(cell.text).trim() !== '') return String(cell.text)
+  const value = cell.value
+  if (value == null) return ''
+  if (typeof value === 'object' && value.richText) {
+    return value.richText.map((part) => part.text).join('')
+  }
+  if (value instanceof Date) return value.toISOString()
+  return String(value)
+}
+
+const readSheetGrid = (sheet) => {
+  const grid = []
+  for (let rowNumber = 1; rowNumber <= sheet.rowCount; rowNumber += 1) {
+    const row = sheet.getRow(rowNumber)
+    const columnCount = Math.max(row.cellCount, row.actualCellCount)
+    const values = []
+    for (let col = 1; col <= columnCount; col += 1) {
+      const cell = row.getCell(col)
+      values.push(cell.master !== cell ? '' : getCellText(cell))
+    }
+    while (values.length && normalizeVisible(values[values.length - 1]) === '') {
+      values.pop()
+    }
+    grid.push(values)
+  }
+  return grid
+}
+
+const readWorkbook = async (buffer, onProgress = () => {}) => {
+  const workbook = new ExcelJS.Workbook()
+  onProgress('load', null)
+  await workbook.xlsx.load(buffer)
+  onProgress('load', 1)
+  if (!workbook.worksheets.length) throw new Error('Geen werkblad gevonden in het bestand.')
+  const sheets = workbook.worksheets.map((sheet, index) => {
+    onProgress('sheets', index / workbook.worksheets.length)
+    return { name: sheet.name || `Werkblad ${index + 1}`, grid: readSheetGrid(sheet) }
+  })
+  onProgress('sheets', 1)
+  return sheets
+}
+
+const toSheetName = (name, usedNames) => {
+  const base = name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Blad'
+  let candidate = base
+  let counter = 2
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter})`
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`
+    counter += 1
+  }
+  usedNames.add(candidate.toLowerCase())
+  return candidate
+}
+
+const formatSheets = (sheets) => {
+  sheets.forEach((sheet) => {
+    sheet.getRow(1).font = { bold: true }
+    sheet.columns = sheet.columns.map((col) => ({
+      ...col,
+      width: Math.min(Math.max(col.width || 10, 16), 60),
+    }))
+    sheet.eachRow((row) => {
+      row.alignment = { vertical: 'top', wrapText: true }
+    })
+  })
+}
+
+const solidFill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } })
+
+const toSheetReference = (sheetName, row) => `#'${sheetName.replace(/'/g, "''")}'!A${row}`
+
+const buildResultWorkbook = (report, onProgress = () => {}) => {
+  const { results, rows, removed, labels, filters, reviews, sources } = report
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'Eisencheck Lab'
+  workbook.created = new Date()
+
+  const usedSheetNames = new Set(['legenda', 'vervallen eisen', 'per werkblad', 'datakwaliteit'])
+  const sheetColumn = results.sheetBreakdown ? ['Werkblad'] : []
+  const contextNames = results.contextNames ?? []
+  const sourceSheets = new Map()
+  const sourceTargets = [
+    ['A', 1, sources?.A ?? []],
+    ['B', 2, sources?.B ?? []],
+  ].flatMap(([side, number, sheets]) =>
+    sheets.map((sheet) => {
+      const target = {
+        sheet,
+        name: toSheetName(`Bron ${number} ${sheet.name}`, usedSheetNames),
+        width: sheet.grid.reduce((width, cells) => Math.max(width, cells.length), 0),
+      }
+      sourceSheets.set(JSON.stringify([side, sheet.name]), target)
+      return target
+    })
+  )
+  const allRows = [...results.rows, ...results.removed]
+  const withSheet = { A: spansSheets(allRows, 'locationA'), B: spansSheets(allRows, 'locationB') }
+  const toLocationCell = (side, location) => {
+    const text = formatRowLocation(location, withSheet[side])
+    const target = location && sourceSheets.get(JSON.stringify([side, location.sheet]))
+    if (!target) return text
+    return { text: String(text), hyperlink: toSheetReference(target.name, location.row) }
+  }
+  const styleLinks = (excelRow) => {
+    excelRow.eachCell((cell) => {
+      if (cell.value?.hyperlink) cell.font = LINK_FONT
+    })
+  }
+  const resultHeaders = [
+    ...labels.keys,
+    ...labels.previousKeys,
+    ...labels.old,
+    ...labels.new,
+    ...contextNames,
+    'Overeenkomst',
+    'Gewijzigde kolommen',
+    'Status',
+    'Rij bestand 1',
+    'Rij bestand 2',
+    ...(reviews ? ['Beoordeling', 'Opmerking'] : []),
+  ]
+  const similarityColumn = resultHeaders.indexOf('Overeenkomst') + 1
+  let writtenRows = 0
+  const addResultSheet = (name, rowsToWrite) => {
+    const resultSheet = workbook.addWorksheet(toSheetName(name, usedSheetNames))
+    resultSheet.addRow(resultHeaders)
+    rowsToWrite.forEach((row) => {
+      if (writtenRows % PROGRESS_STEP === 0) onProgress(writtenRows / rows.length)
+      writtenRows += 1
+      const review = reviews?.[reviewKey(row)]
+      const excelRow = resultSheet.addRow([
+        ...row.keyParts,
+        ...(row.oldKeyParts ?? row.keyParts.map(() => '')),
+        ...row.oldValues,
+        ...row.newValues,
+        ...contextNames.map((_, index) => row.contextValues?.[index] ?? ''),
+        row.similarity ?? null,
+        (row.changedColumns ?? [])
+          .map((changed, index) => (changed ? results.columnNames[index] : null))
+          .filter(Boolean)
+          .join(', '),
+        row.status,
+        toLocationCell('A', row.locationA),
+        toLocationCell('B', row.locationB),
+        ...(reviews ? [formatReviewDecision(review), review?.comment ?? ''] : []),
+      ])
+      excelRow.getCell(similarityColumn).numFmt = '0%'
+      styleLinks(excelRow)
+      const fillColor = STATUS_FILLS[row.status]
+      if (fillColor) {
+        excelRow.eachCell((cell) => {
+          cell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: fillColor },
+          }
+        })
+      }
+      if (row.diffs) {
+        const firstValueColumn = row.keyParts.length * 2 + 1
+        row.diffs.forEach((parts, index) => {
+          const oldCell = excelRow.getCell(firstValueColumn + index)
+          const newCell = excelRow.getCell(firstValueColumn + row.oldValues.length + index)
+          oldCell.value = buildDiffRichText(parts, 'removed')
+          newCell.value = buildDiffRichText(parts, 'added')
+          if (row.changedColumns[index]) {
+            const changedFill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: CHANGED_CELL_FILL },
+            }
+            oldCell.fill = changedFill
+            newCell.fill = changedFill
+          }
+        })
+      }
+    })
+    return resultSheet
+  }
+
+  const resultSheets = results.sheetBreakdown
+    ? results.sheetBreakdown.map((entry) =>
+        addResultSheet(
+          `Resultaat ${entry.sheet}`,
+          rows.filter((row) => row.sheet === entry.sheet)
+        )
+      )
+    : [addResultSheet('Resultaat', rows)]
+
+  const removedSheet = workbook.addWorksheet('Vervallen eisen')
+  removedSheet.addRow([
+    ...sheetColumn,
+    ...labels.removedKeys,
+    ...labels.old,
+    ...contextNames,
+    'Rij bestand 1',
+  ])
+  removed.forEach((row) => {
+    const excelRow = removedSheet.addRow([
+      ...(results.sheetBreakdown ? [row.sheet] : []),
+      ...row.keyParts,
+      ...row.oldValues,
+      ...contextNames.map((_, index) => row.contextValues?.[index] ?? ''),
+      toLocationCell('A', row.locationA),
+    ])
+    styleLinks(excelRow)
+    excelRow.eachCell((cell) => {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: STATUS_FILLS[STATUS_REMOVED] },
+      }
+    })
+  })
+
+  const breakdownSheets = []
+  if (results.sheetBreakdown) {
+    const breakdownSheet = workbook.addWorksheet('Per werkblad')
+    breakdownSheet.addRow([
+      'Werkblad bestand 1',
+      'Werkblad bestand 2',
+      'Ongewijzigd',
+      'Toegevoegd',
+      'Gewijzigd',
+      'Hernummerd',
+      'Vervallen',
+    ])
+    results.sheetBreakdown.forEach((entry) => {
+      breakdownSheet.addRow([
+        entry.sheet,
+        entry.sheetB,
+        entry.stats.unchanged,
+        entry.stats.added,
+        entry.stats.changed,
+        entry.stats.renumbered,
+        entry.stats.removed,
+      ])
+    })
+    results.skippedSheets.forEach((entry) => {
+      breakdownSheet.addRow([entry.sheet, '', '', '', '', '', '', entry.reason])
+    })
+    breakdownSheets.push(breakdownSheet)
+  }
+
+  const qualitySheet = workbook.addWorksheet('Datakwaliteit')
+  qualitySheet.addRow(['Soort', 'Bestand', 'Werkblad', 'Sleutel', 'Rijen', 'Toelichting'])
+  const issues = listDataQualityIssues(results)
+  issues.forEach((issue) => {
+    qualitySheet.addRow([issue.type, issue.file, issue.sheet, issue.key, issue.rows, issue.details])
+  })
+  if (!issues.length) qualitySheet.addRow(['Geen meldingen'])
+
+  const legendSheet = workbook.addWorksheet('Legenda')
+  legendSheet.addRow(['Status', 'Betekenis', 'Kleur'])
+  LEGEND_ITEMS.forEach((item) => {
+    legendSheet.addRow([item.status, item.note, item.color])
+  })
+  legendSheet.addRow(['Vervallen', 'Alleen in bestand 1', 'red'])
+  legendSheet.addRow([])
+  legendSheet.addRow([
+    'Overeenkomst',
+    `Tekstovereenkomst van gepaarde eisen. Bij dubbele sleutels worden rijen onder ${results.similarityThreshold}% als vervallen + toegevoegd gemeld.`,
+  ])
+  legendSheet.addRow([
+    'Rij bestand 1 / 2',
+    sourceTargets.length
+      ? 'Rijnummer in het bronbestand; klik om de rij op het tabblad Bron 1 of Bron 2 te openen'
+      : 'Rijnummer in het bronbestand',
+  ])
+  if (contextNames.length) {
+    legendSheet.addRow([
+      'Contextkolommen',
+      `${contextNames.join(', ')}: uit bestand 2 (vervallen eisen: bestand 1), niet vergeleken`,
+    ])
+  }
+  if (filters) {
+    legendSheet.addRow([])
+    legendSheet.addRow(['Gefilterde weergave', 'Alleen rijen die aan het filter voldoen'])
+    legendSheet.addRow([
+      'Statussen',
+      filters.statuses.length ? filters.statuses.join(', ') : 'Alle',
+    ])
+    legendSheet.addRow(['Zoekterm', filters.search.trim() || '—'])
+    legendSheet.addRow(['Alleen verschillen', filters.onlyDifferences ? 'Ja' : 'Nee'])
+  }
+  legendSheet.addRow([])
+  legendSheet.addRow(['Normalisatie', 'Genegeerd bij vergelijken'])
+  legendSheet.addRow(['Spaties, returns en onzichtbare tekens', 'Aan (altijd)'])
+  NORMALIZATION_OPTIONS.forEach((option) => {
+    legendSheet.addRow([option.label, results.normalization[option.id] ? 'Aan' : 'Uit'])
+  })
+  legendSheet.addRow([])
+  legendSheet.addRow(['Markering', 'Betekenis'])
+  legendSheet.addRow([
+    { richText: [{ text: 'doorgestreept', font: DIFF_FONT_REMOVED }] },
+    'Tekst verwijderd t.o.v. bestand 1 (kolommen [Oud])',
+  ])
+  legendSheet.addRow([
+    { richText: [{ text: 'onderstreept', font: DIFF_FONT_ADDED }] },
+    'Tekst toegevoegd in bestand 2 (kolommen [Nieuw])',
+  ])
+
+  const sourceWorksheets = sourceTargets.map(({ sheet, name }) => {
+    const sourceSheet = workbook.addWorksheet(name)
+    sheet.grid.forEach((cells, index) => {
+      if (cells.length) sourceSheet.getRow(index + 1).values = cells
+    })
+    return sourceSheet
+  })
+  const fillSourceRow = (side, location, status) => {
+    const target = location && sourceSheets.get(JSON.stringify([side, location.sheet]))
+    if (!target) return
+    const excelRow = workbook.getWorksheet(target.name).getRow(location.row)
+    for (let column = 1; column <= target.width; column += 1) {
+      excelRow.getCell(column).fill = solidFill(STATUS_FILLS[status])
+    }
+  }
+  results.rows.forEach((row) => {
+    fillSourceRow('A', row.locationA, row.status)
+    fillSourceRow('B', row.locationB, row.status)
+  })
+  results.removed.forEach((row) => fillSourceRow('A', row.locationA, STATUS_REMOVED))
+
+  formatSheets([
+    ...resultSheets,
+    removedSheet,
+    ...breakdownSheets,
+    qualitySheet,
+    legendSheet,
+    ...sourceWorksheets,
+  ])
+  onProgress(1)
+  return workbook
+}
+
+const lastValueColumn = (sheet) => {
+  let last = 0
+  sheet.eachRow((row) => {
+    row.eachCell((cell, column) => {
+      if (column > last && getCellText(cell) !== '') last = column
+    })
+  })
+  return last
+}
+
+const annotateWorkbook = async (report, onProgress = () => {}) => {
+  const { buffer, results, sheets, labels } = report
+  const workbook = new ExcelJS.Workbook()
+  onProgress('load', null)
+  await workbook.xlsx.load(buffer)
+  onProgress('load', 1)
+
+  const addedHeaders = [
+    'Status',
+    'Oude sleutel',
+    ...(results.columnNames.length > 1
+      ? results.columnNames.map((name) => `Oude tekst ${name}`)
+      : ['Oude tekst']),
+  ]
+  const targets = new Map()
+  sheets.forEach(({ name, headerRow }) => {
+    const sheet = workbook.getWorksheet(name)
+    if (!sheet || targets.has(name)) return
+    const statusColumn = lastValueColumn(sheet) + 1
+    const header = sheet.getRow(headerRow)
+    const headerStyle = header.getCell(Math.max(statusColumn - 1, 1)).style
+    addedHeaders.forEach((text, offset) => {
+      const cell = header.getCell(statusColumn + offset)
+      cell.value = text
+      cell.style = { ...headerStyle }
+      sheet.getColumn(statusColumn + offset).width = offset > 1 ? 50 : 16
+    })
+    targets.set(name, { sheet, statusColumn, lastColumn: statusColumn + addedHeaders.length - 1 })
+  })
+
+  results.rows.forEach((row, index) => {
+    if (index % PROGRESS_STEP === 0) onProgress('rows', index / results.rows.length)
+    const target = row.locationB && targets.get(row.locationB.sheet)
+    if (!target) return
+    const excelRow = target.sheet.getRow(row.locationB.row)
+    const fill = solidFill(STATUS_FILLS[row.status])
+    for (let column = 1; column <= target.lastColumn; column += 1) {
+      const cell = excelRow.getCell(column)
+      cell.style = { ...cell.style, fill }
+    }
+    excelRow.getCell(target.statusColumn).value = row.status
+    const renumbered = row.status === STATUS_RENUMBERED
+    if (renumbered) excelRow.getCell(target.statusColumn + 1).value = row.oldKey
+    row.oldValues.forEach((value, column) => {
+      const changed = row.changedColumns?.[column]
+      if (!changed && !renumbered) return
+      const cell = excelRow.getCell(target.statusColumn + 2 + column)
+      cell.value = changed && row.diffs ? buildDiffRichText(row.diffs[column], 'removed') : value
+      cell.style = { ...cell.style, alignment: { vertical: 'top', wrapText: true } }
+    })
+  })
+
+  const usedNames = new Set(workbook.worksheets.map((sheet) => sheet.name.toLowerCase()))
+  const removedSheet = workbook.addWorksheet(toSheetName('Vervallen eisen', usedNames))
+  const sheetColumn = results.sheetBreakdown ? ['Werkblad'] : []
+  removedSheet.addRow([...sheetColumn, ...labels.removedKeys, ...labels.old])
+  results.removed.forEach((row) => {
+    const excelRow = removedSheet.addRow([
+      ...(results.sheetBreakdown ? [row.sheet] : []),
+      ...row.keyParts,
+      ...row.oldValues,
+    ])
+    excelRow.eachCell((cell) => {
+      cell.fill = solidFill(STATUS_FILLS[STATUS_REMOVED])
+    })
+  })
+  formatSheets([removedSheet])
+  onProgress('rows', 1)
+  return workbook
+}
+
+const buildHistoryWorkbook = (history, onProgress = () => {}) => {
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'Eisencheck Lab'
+  workbook.created = new Date()
+
+  const historySheet = workbook.addWorksheet('Revisiehistorie')
+  historySheet.addRow([
+    ...history.keyHeaders,
+    ...history.transitions.map((transition) => `${transition.from} → ${transition.to}`),
+    'Levensloop',
+  ])
+  const firstStepColumn = history.keyHeaders.length + 1
+  history.rows.forEach((row, rowIndex) => {
+    if (rowIndex % PROGRESS_STEP === 0) onProgress(rowIndex / history.rows.length)
+    const excelRow = historySheet.addRow([
+      ...row.keyParts,
+      ...row.steps.map(formatHistoryStep),
+      row.lifecycle,
+    ])
+    row.steps.forEach((cell, step) => {
+      const fillColor = cell && STATUS_FILLS[cell.status]
+      if (!fillColor) return
+      excelRow.getCell(firstStepColumn + step).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: fillColor },
+      }
+    })
+  })
+  historySheet.views = [{ state: 'frozen', xSplit: history.keyHeaders.length, ySplit: 1 }]
+
+  const stepsSheet = workbook.addWorksheet('Revisiestappen')
+  stepsSheet.addRow([
+    'Van',
+    'Naar',
+    'Ongewijzigd',
+    'Toegevoegd',
+    'Gewijzigd',
+    'Hernummerd',
+    'Vervallen',
+  ])
+  history.transitions.forEach((transition) => {
+    stepsSheet.addRow([
+      transition.from,
+      transition.to,
+      transition.stats.unchanged,
+      transition.stats.added,
+      transition.stats.changed,
+      transition.stats.renumbered,
+      transition.stats.removed,
+    ])
+  })
+
+  formatSheets([historySheet, stepsSheet])
+  onProgress(1)
+  return workbook
+}
+
+export { readWorkbook, buildResultWorkbook, annotateWorkbook, buildHistoryWorkbook }
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { fileURLToPath } from 'node:url'
+import { createRequirements } from './fixtures.js'
+
+const CLI = fileURLToPath(new URL('../bin/eisencheck.js', import.meta.url))
+
+const runCli = (args) =>
+  new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr })
+    })
+  })
+
+describe('eisencheck CLI', () => {
+  let dir
+  let oldFile
+  let newFile
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'eisencheck-'))
+    oldFile = join(dir, 'oud.xlsx')
+    newFile = join(dir, 'nieuw.xlsx')
+    await writeFile(oldFile, await createRequirements([['E1', 'Oude tekst', 'Civiel']]))
+    await writeFile(
+      newFile,
+      await createRequirements([
+        ['E1', 'Nieuwe tekst', 'Civiel'],
+        ['E2', 'Extra eis', 'Civiel'],
+      ])
+    )
+  })
+
+  after(() => rm(dir, { recursive: true, force: true }))
+
+  it('exits with 1 and prints a summary when there are differences', async () => {
+    const { code, stdout } = await runCli([
+      oldFile,
+      newFile,
+      '--key',
+      'Eiscode',
+      '--cols',
+      'EisTekst',
+    ])
+    assert.equal(code, 1)
+    assert.match(stdout, /Gewijzigd: {3}1/)
+    assert.match(stdout, /Toegevoegd: {2}1/)
+  })
+
+  it('exits with 0 for identical files', async () => {
+    const { code, stdout } = await runCli([oldFile, oldFile])
+    assert.equal(code, 0)
+    assert.match(stdout, /Ongewijzigd: 1/)
+  })
+
+  it('lists duplicated keys in the summary', async () => {
+    const duplicates = join(dir, 'dubbel.xlsx')
+    await writeFile(
+      duplicates,
+      await createRequirements([
+        ['E1', 'Nieuwe tekst', 'Civiel'],
+        ['E1', 'Extra eis', 'Civiel'],
+      ])
+    )
+    const { stdout } = await runCli([oldFile, duplicates])
+    assert.match(stdout, /Dubbele sleutels in dubbel\.xlsx: E1 \(rijen 2, 3\)/)
+  })
+
+  it('writes the result in the format of the output extension', async () => {
+    const output = join(dir, 'diff.json')
+    const { code } = await runCli([oldFile, newFile, '-o', output, '--quiet'])
+    assert.equal(code, 1)
+    const data = JSON.parse(await readFile(output, 'utf8'))
+    assert.equal(data.schema, 'eisencheck-diff')
+    assert.equal(data.sources.new.name, 'nieuw.xlsx')
+    assert.equal(data.rows.length, 2)
+  })
+
+  it('writes an Excel report', async () => {
+    const output = join(dir, 'diff.xlsx')
+    const { code } = await runCli([oldFile, newFile, '-o', output, '-q'])
+    assert.equal(code, 1)
+    const bytes = await readFile(output)
+    assert.equal(bytes.subarray(0, 2).toString(), 'PK')
+  })
+
+  it('exits with 2 on errors', async () => {
+    const missing = await runCli([oldFile, newFile, '--cols', 'Omschrijving'])
+    assert.equal(missing.code, 2)
+    assert.match(missing.stderr, /Kolommen ontbreken in oud\.xlsx: Omschrijving/)
+    const usage = await runCli([oldFile])
+    assert.equal(usage.code, 2)
+    assert.match(usage.stderr, /Geef precies twee bestanden op/)
+  })
+})
@@ -0,0 +1,364 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  DEFAULT_NORMALIZATION,
+  QUALITY_DUPLICATE_KEY,
+  QUALITY_EMPTY_KEY,
+  QUALITY_KEY_VARIANT,
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_RENUMBERED,
+  STATUS_UNCHANGED,
+  combineSheets,
+  compareDatasets,
+  compareSheetPairs,
+  diffWords,
+  listDataQualityIssues,
+  normalizeVisible,
+  parseGrid,
+  parseSource,
+} from '../src/engine.js'
+import { SETTINGS, dataset } from './fixtures.js'
+
+const byKey = (rows) => Object.fromEntries(rows.map((row) => [row.key, row]))
+
+describe('normalizeVisible', () => {
+  it('collapses whitespace and strips invisible characters', () => {
+    assert.equal(normalizeVisible('  Eis\u200B  met\n\ttekst  '), 'Eis met tekst')
+  })
+
+  it('applies the selected normalization options only', () => {
+    const options = { ...DEFAULT_NORMALIZATION, quotes: true, case: true }
+    assert.equal(normalizeVisible('“Beton” Klasse', options), '"beton" klasse')
+    assert.equal(normalizeVisible('“Beton” Klasse', DEFAULT_NORMALIZATION), '“Beton” Klasse')
+  })
+
+  it('ignores trailing punctuation when asked', () => {
+    const options = { ...DEFAULT_NORMALIZATION, trailingPunctuation: true }
+    assert.equal(normalizeVisible('De brug moet open kunnen.', options), 'De brug moet open kunnen')
+  })
+})
+
+describe('diffWords', () => {
+  it('marks removed and added words', () => {
+    assert.deepEqual(diffWords('de oude brug', 'de nieuwe brug'), [
+      { type: 'equal', text: 'de ' },
+      { type: 'removed', text: 'oude' },
+      { type: 'added', text: 'nieuwe' },
+      { type: 'equal', text: ' brug' },
+    ])
+  })
+
+  it('returns a single equal part for identical text', () => {
+    assert.deepEqual(diffWords('zelfde tekst', 'zelfde tekst'), [
+      { type: 'equal', text: 'zelfde tekst' },
+    ])
+  })
+})
+
+describe('parseGrid', () => {
+  it('detects the header row below a title and skips empty rows', () => {
+    const parsed = parseGrid([
+      ['Programma van eisen'],
+      [],
+      ['Eiscode', 'EisTekst'],
+      ['E1', 'Eerste'],
+      [],
+      ['E2', 'Tweede'],
+    ])
+    assert.equal(parsed.headerRow, 3)
+    assert.deepEqual(parsed.headers, ['Eiscode', 'EisTekst'])
+    assert.deepEqual(parsed.rows, [
+      ['E1', 'Eerste'],
+      ['E2', 'Tweede'],
+    ])
+    assert.deepEqual(parsed.rowNumbers, [4, 6])
+  })
+
+  it('skips a title block with fewer cells than the table', () => {
+    const parsed = parseGrid([
+      ['Project:', 'Brug Noord'],
+      ['Opdrachtgever:', 'Gemeente'],
+      [],
+      ['Eiscode', 'EisTekst', 'Discipline'],
+      ['E1', 'Eerste', 'Civiel'],
+    ])
+    assert.equal(parsed.headerRow, 4)
+    assert.deepEqual(parsed.headers, ['Eiscode', 'EisTekst', 'Discipline'])
+  })
+
+  it('stops at the stop marker', () => {
+    const parsed = parseGrid(
+      [['Eiscode', 'EisTekst'], ['E1', 'Eerste'], ['Einde lijst'], ['E2', 'Tweede']],
+      { stopMarker: 'einde lijst' }
+    )
+    assert.equal(parsed.rows.length, 1)
+    assert.equal(parsed.stoppedAt, 3)
+  })
+})
+
+describe('combineSheets', () => {
+  it('maps columns by header name and remembers the source sheet per row', () => {
+    const parsed = parseSource(
+      {
+        fileName: 'test.xlsx',
+        sheets: [
+          {
+            name: 'Civiel',
+            grid: [
+              ['Eiscode', 'EisTekst'],
+              ['C1', 'Civiel'],
+            ],
+          },
+          {
+            name: 'Installaties',
+            grid: [
+              ['EisTekst', 'Eiscode'],
+              ['Installaties', 'I1'],
+            ],
+          },
+        ],
+      },
+      {}
+    )
+    const data = combineSheets(parsed, ['0', '1'])
+    assert.deepEqual(data.rows, [
+      ['C1', 'Civiel'],
+      ['I1', 'Installaties'],
+    ])
+    assert.deepEqual(data.rowSheets, ['Civiel', 'Installaties'])
+  })
+})
+
+describe('compareDatasets', () => {
+  it('reports added, removed and changed requirements', () => {
+    const results = compareDatasets(
+      dataset([
+        ['E1', 'De brug is 10 meter breed'],
+        ['E2', 'Verlichting volgens NEN'],
+      ]),
+      dataset([
+        ['E1', 'De brug is 12 meter breed'],
+        ['E3', 'Nieuwe eis over geluid'],
+      ]),
+      SETTINGS
+    )
+    const rows = byKey(results.rows)
+    assert.equal(rows.E1.status, STATUS_CHANGED)
+    assert.deepEqual(rows.E1.changedColumns, [true])
+    assert.deepEqual(rows.E1.locationA, { sheet: 'Eisen', row: 2 })
+    assert.equal(rows.E3.status, STATUS_ADDED)
+    assert.deepEqual(
+      results.removed.map((row) => row.key),
+      ['E2']
+    )
+    assert.equal(results.stats.changed, 1)
+    assert.equal(results.stats.added, 1)
+    assert.equal(results.stats.removed, 1)
+  })
+
+  it('reports a removed and added requirement with the same text as renumbered', () => {
+    const text = 'De installatie moet op afstand bedienbaar zijn vanuit de centrale post'
+    const results = compareDatasets(dataset([['E7', text]]), dataset([['E9', text]]), SETTINGS)
+    assert.equal(results.rows[0].status, STATUS_RENUMBERED)
+    assert.equal(results.rows[0].oldKey, 'E7')
+    assert.equal(results.removed.length, 0)
+  })
+
+  it('finds a slightly reworded renumbered requirement among unrelated rows', () => {
+    const filler = (prefix, count) =>
+      Array.from({ length: count }, (_, index) => [
+        `${prefix}${index}`,
+        `Onderdeel ${prefix}${index} voldoet aan eis nummer ${index * 7} uit bijlage ${prefix}`,
+      ])
+    const text = 'De installatie moet op afstand bedienbaar zijn vanuit de centrale post'
+    const results = compareDatasets(
+      dataset([...filler('A', 200), ['E7', `${text} en de meldkamer`]]),
+      dataset([...filler('B', 200), ['E9', `${text} en het meldkamer`]]),
+      SETTINGS
+    )
+    const renumbered = results.rows.filter((row) => row.status === STATUS_RENUMBERED)
+    assert.deepEqual(
+      renumbered.map((row) => [row.oldKey, row.key]),
+      [['E7', 'E9']]
+    )
+    assert.ok(renumbered[0].similarity < 1)
+    assert.equal(results.stats.removed, 200)
+  })
+
+  it('finds a renumbered requirement among many rows built from the same common words', () => {
+    const words = ['de', 'installatie', 'moet', 'voldoen', 'aan', 'eis', 'conform', 'bijlage']
+    const common = (prefix, extra, count) =>
+      Array.from({ length: count }, (_, index) => [
+        `${prefix}${index}`,
+        words.map((_, word) => words[(index + word * 3) % words.length]).join(' ') + extra,
+      ])
+    const text = `${words.join(' ')} brandwerendheid kunstwerk`
+    const results = compareDatasets(
+      dataset([...common('A', '', 2000), ['E7', `${text} noord`]]),
+      dataset([...common('B', ' vervallen', 2000), ['E9', `${text} zuid`]]),
+      SETTINGS
+    )
+    assert.deepEqual(
+      results.rows
+        .filter((row) => row.status === STATUS_RENUMBERED && row.key === 'E9')
+        .map((row) => row.oldKey),
+      ['E7']
+    )
+  })
+
+  it('pairs many rows under one duplicated key on their text', () => {
+    const text = (index) => `Maatregel ${index} geldt voor kunstwerk K${index * 3} in fase ${index}`
+    const rowsA = Array.from({ length: 300 }, (_, index) => ['NVT', text(index)])
+    const rowsB = rowsA.map(([key], index) => [key, `${text(index)} en later`]).reverse()
+    const results = compareDatasets(dataset(rowsA), dataset(rowsB), SETTINGS)
+    assert.equal(results.stats.changed, 300)
+    assert.ok(results.rows.every((row) => row.newValues[0] === `${row.oldValues[0]} en later`))
+  })
+
+  it('counts rows with an empty key part and skips them', () => {
+    const results = compareDatasets(
+      dataset([['', 'Zonder code']]),
+      dataset([
+        ['E1', 'Met code'],
+        [' ', 'Ook zonder code'],
+      ]),
+      SETTINGS
+    )
+    assert.equal(results.emptyKeysA, 1)
+    assert.equal(results.emptyKeysB, 1)
+    assert.equal(results.rows.length, 1)
+  })
+
+  it('carries context columns along without comparing them', () => {
+    const headers = ['Eiscode', 'EisTekst', 'Fase']
+    const results = compareDatasets(
+      dataset(
+        [
+          ['E1', 'Tekst een', 'VO'],
+          ['E2', 'Vervalt', 'VO'],
+        ],
+        headers
+      ),
+      dataset(
+        [
+          ['E1', 'Tekst een', 'DO'],
+          ['E3', 'Nieuwe eis', 'DO'],
+        ],
+        headers
+      ),
+      { ...SETTINGS, contextIndexesA: [2], contextIndexesB: [2] }
+    )
+    const rows = byKey(results.rows)
+    assert.equal(rows.E1.status, STATUS_UNCHANGED)
+    assert.deepEqual(rows.E1.contextValues, ['DO'])
+    assert.deepEqual(rows.E3.contextValues, ['DO'])
+    assert.deepEqual(results.removed[0].contextValues, ['VO'])
+  })
+
+  it('leaves context values of removed rows empty when bestand 1 lacks the column', () => {
+    const results = compareDatasets(
+      dataset([['E1', 'Vervalt']]),
+      dataset([['E2', 'Nieuw', 'DO']], ['Eiscode', 'EisTekst', 'Fase']),
+      { ...SETTINGS, contextIndexesA: [-1], contextIndexesB: [2] }
+    )
+    assert.deepEqual(results.removed[0].contextValues, [''])
+    assert.deepEqual(results.rows[0].contextValues, ['DO'])
+  })
+
+  it('matches on composite keys', () => {
+    const headers = ['Hoofdstuk', 'Eiscode', 'EisTekst']
+    const results = compareDatasets(
+      dataset([['H1', 'E1', 'Tekst een']], headers),
+      dataset(
+        [
+          ['H1', 'E1', 'Tekst twee'],
+          ['H2', 'E1', 'Tekst een'],
+        ],
+        headers
+      ),
+      {
+        ...SETTINGS,
+        keyIndexesA: [0, 1],
+        keyIndexesB: [0, 1],
+        valueIndexesA: [2],
+        valueIndexesB: [2],
+      }
+    )
+    const rows = byKey(results.rows)
+    assert.equal(rows['H1 / E1'].status, STATUS_CHANGED)
+    assert.deepEqual(rows['H2 / E1'].keyParts, ['H2', 'E1'])
+  })
+})
+
+describe('compareSheetPairs', () => {
+  it('asks for a sheet in both files when a selection is empty', () => {
+    const file = parseSource(
+      {
+        fileName: 'test.xlsx',
+        sheets: [
+          {
+            name: 'Eisen',
+            grid: [
+              ['Eiscode', 'EisTekst'],
+              ['E1', 'Eerste'],
+            ],
+          },
+        ],
+      },
+      {}
+    )
+    assert.throws(() => compareSheetPairs(file, ['0'], file, [], SETTINGS), {
+      message: 'Selecteer in beide bestanden minstens één werkblad om te vergelijken.',
+    })
+  })
+})
+
+describe('listDataQualityIssues', () => {
+  it('lists duplicated keys, empty keys and key variants with their rows', () => {
+    const results = compareDatasets(
+      dataset([
+        ['E1', 'Eerste'],
+        ['E1', 'Tweede'],
+        ['', 'Zonder code'],
+        ['E2', 'Derde'],
+      ]),
+      dataset([
+        ['E1', 'Eerste'],
+        ['e 2', 'Derde'],
+      ]),
+      SETTINGS
+    )
+    assert.deepEqual(listDataQualityIssues(results), [
+      {
+        type: QUALITY_DUPLICATE_KEY,
+        file: 'Bestand 1',
+        sheet: 'Eisen',
+        key: 'E1',
+        rows: 'rijen 2, 3',
+        details: '2 rijen met dezelfde sleutel',
+      },
+      {
+        type: QUALITY_EMPTY_KEY,
+        file: 'Bestand 1',
+        sheet: 'Eisen',
+        key: '',
+        rows: 'rij 4',
+        details: 'Zonder code',
+      },
+      {
+        type: QUALITY_KEY_VARIANT,
+        file: 'Bestand 1 en 2',
+        sheet: 'Eisen',
+        key: '"E2", "e 2"',
+        rows: '"E2": bestand 1 rij 5; "e 2": bestand 2 rij 3',
+        details: 'Sleutels verschillen alleen in spaties of hoofdletters',
+      },
+    ])
+  })
+
+  it('returns nothing for clean data', () => {
+    const data = dataset([['E1', 'Eerste']])
+    assert.deepEqual(listDataQualityIssues(compareDatasets(data, data, SETTINGS)), [])
+  })
+})
@@ -0,0 +1,35 @@
+import ExcelJS from 'exceljs'
+import { DEFAULT_NORMALIZATION } from '../src/engine.js'
+
+const HEADERS = ['Eiscode', 'EisTekst', 'Discipline']
+
+const createWorkbook = async (sheets) => {
+  const workbook = new ExcelJS.Workbook()
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const sheet = workbook.addWorksheet(name)
+    rows.forEach((row) => sheet.addRow(row))
+  })
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+const createRequirements = (rows, sheetName = 'Eisen') =>
+  createWorkbook({ [sheetName]: [HEADERS, ...rows] })
+
+const dataset = (rows, headers = ['Eiscode', 'EisTekst']) => ({
+  fileName: 'test.xlsx',
+  name: 'Eisen',
+  headers,
+  rows,
+  rowNumbers: rows.map((_, index) => index + 2),
+})
+
+const SETTINGS = {
+  keyIndexesA: [0],
+  keyIndexesB: [0],
+  valueIndexesA: [1],
+  valueIndexesB: [1],
+  similarityThreshold: 50,
+  normalization: DEFAULT_NORMALIZATION,
+}
+
+export { HEADERS, SETTINGS, createWorkbook, createRequirements, dataset }
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import JSZip from 'jszip'
+import {
+  decodeText,
+  detectDelimiter,
+  parseOdsContent,
+  readSpreadsheet,
+  splitDelimited,
+} from '../src/formats.js'
+import { createRequirements } from './fixtures.js'
+
+const odsContent = (tables) => `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content
+  xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+  xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+  xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+  <office:body><office:spreadsheet>${tables}</office:spreadsheet></office:body>
+</office:document-content>`
+
+const REQUIREMENTS_TABLE = `<table:table table:name="Eisen">
+  <table:table-row>
+    <table:table-cell><text:p>Eiscode</text:p></table:table-cell>
+    <table:table-cell><text:p>EisTekst</text:p></table:table-cell>
+    <table:table-cell><text:p>Discipline</text:p></table:table-cell>
+  </table:table-row>
+  <table:table-row table:number-rows-repeated="2"><table:table-cell /></table:table-row>
+  <table:table-row>
+    <table:table-cell><text:p>E1</text:p></table:table-cell>
+    <table:table-cell table:number-columns-spanned="2">
+      <text:p>Eerste regel</text:p><text:p>tweede<text:s text:c="2"/>regel</text:p>
+      <office:annotation><text:p>Opmerking</text:p></office:annotation>
+    </table:table-cell>
+    <table:covered-table-cell><text:p>verborgen</text:p></table:covered-table-cell>
+  </table:table-row>
+  <table:table-row table:number-rows-repeated="2">
+    <table:table-cell table:number-columns-repeated="2"><text:p>x</text:p></table:table-cell>
+    <table:table-cell table:number-columns-repeated="1000" />
+  </table:table-row>
+  <table:table-row table:number-rows-repeated="1048570">
+    <table:table-cell table:number-columns-repeated="1024" />
+  </table:table-row>
+</table:table>`
+
+describe('splitDelimited', () => {
+  it('handles quoted fields with delimiters, quotes and line breaks', () => {
+    const text = 'Eiscode;EisTekst\r\nE1;"Breedte; hoogte"\r\nE2;"Eerste regel\nmet ""citaat"""\r\n'
+    assert.deepEqual(splitDelimited(text, ';'), [
+      ['Eiscode', 'EisTekst'],
+      ['E1', 'Breedte; hoogte'],
+      ['E2', 'Eerste regel\nmet "citaat"'],
+    ])
+  })
+})
+
+describe('detectDelimiter', () => {
+  it('prefers the delimiter that gives a consistent column count', () => {
+    assert.equal(detectDelimiter('a;b;c\n1;2,5;3\n4;5;6', ','), ';')
+    assert.equal(detectDelimiter('a\tb\n1\t2', ','), '\t')
+  })
+
+  it('falls back when nothing splits', () => {
+    assert.equal(detectDelimiter('alleen tekst', ','), ',')
+  })
+})
+
+describe('decodeText', () => {
+  it('reads UTF-8 with a byte order mark', () => {
+    const bytes = new Uint8Array([0xef, 0xbb, 0xbf, ...new TextEncoder().encode('Eisen é')])
+    assert.deepEqual(decodeText(bytes), { text: 'Eisen é', encoding: 'UTF-8' })
+  })
+
+  it('falls back to Windows-1252 for invalid UTF-8', () => {
+    assert.deepEqual(decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xe9])), {
+      text: 'café',
+      encoding: 'Windows-1252',
+    })
+  })
+})
+
+describe('readSpreadsheet', () => {
+  it('reads a CSV file into a single sheet named after the file', async () => {
+    const buffer = new TextEncoder().encode('Eiscode;EisTekst\nE1;Tekst\n').buffer
+    const { format, sheets } = await readSpreadsheet(buffer, 'eisen rev B.csv')
+    assert.equal(format, 'CSV (puntkomma, UTF-8)')
+    assert.deepEqual(sheets, [
+      {
+        name: 'eisen rev B',
+        grid: [
+          ['Eiscode', 'EisTekst'],
+          ['E1', 'Tekst'],
+        ],
+      },
+    ])
+  })
+
+  it('reads an xlsx workbook', async () => {
+    const buffer = await createRequirements([['E1', 'Tekst', 'Civiel']])
+    const { format, sheets } = await readSpreadsheet(buffer, 'eisen.xlsx')
+    assert.equal(format, 'Excel (.xlsx)')
+    assert.equal(sheets[0].name, 'Eisen')
+    assert.deepEqual(sheets[0].grid[1], ['E1', 'Tekst', 'Civiel'])
+  })
+
+  it('reads an OpenDocument spreadsheet', async () => {
+    const zip = new JSZip()
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet', {
+      compression: 'STORE',
+    })
+    zip.file('content.xml', odsContent(REQUIREMENTS_TABLE))
+    const buffer = await zip.generateAsync({ type: 'arraybuffer' })
+    const { format, sheets } = await readSpreadsheet(buffer, 'eisen.ods')
+    assert.equal(format, 'OpenDocument (.ods)')
+    assert.deepEqual(sheets[0].grid[3], ['E1', 'Eerste regel\ntweede  regel'])
+  })
+
+  it('rejects old binary .xls files with a clear message', async () => {
+    const buffer = new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).buffer
+    await assert.rejects(readSpreadsheet(buffer, 'oud.xls'), /\.xls\) worden niet ondersteund/)
+  })
+})
+
+describe('parseOdsContent', () => {
+  it('expands repeated rows and columns and drops trailing empty ones', () => {
+    const [sheet] = parseOdsContent(odsContent(REQUIREMENTS_TABLE))
+    assert.equal(sheet.name, 'Eisen')
+    assert.deepEqual(sheet.grid, [
+      ['Eiscode', 'EisTekst', 'Discipline'],
+      [],
+      [],
+      ['E1', 'Eerste regel\ntweede  regel'],
+      ['x', 'x'],
+      ['x', 'x'],
+    ])
+  })
+
+  it('keeps the position of values after covered and empty cells', () => {
+    const [sheet] = parseOdsContent(
+      odsContent(`<table:table table:name="Blad">
+        <table:table-row>
+          <table:table-cell table:number-columns-spanned="2"><text:p>A</text:p></table:table-cell>
+          <table:covered-table-cell />
+          <table:table-cell table:number-columns-repeated="2" />
+          <table:table-cell><text:p>D</text:p></table:table-cell>
+        </table:table-row>
+      </table:table>`)
+    )
+    assert.deepEqual(sheet.grid, [['A', '', '', '', 'D']])
+  })
+})
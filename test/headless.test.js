@@ -0,0 +1,271 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { STATUS_ADDED, STATUS_CHANGED, STATUS_RENUMBERED, STATUS_UNCHANGED } from '../src/engine.js'
+import { buildCsvExport, buildJsonExport } from '../src/dataExport.js'
+import { readSpreadsheet } from '../src/formats.js'
+import { buildReportWorkbook, compareWorkbooks, hasDifferences } from '../src/headless.js'
+import { annotateWorkbook, buildResultWorkbook } from '../src/workbook.js'
+import { createRequirements, createWorkbook } from './fixtures.js'
+
+describe('compareWorkbooks', () => {
+  it('compares two workbooks on the named columns', async () => {
+    const old = await createRequirements([
+      ['E1', 'De brug is 10 meter breed', 'Civiel'],
+      ['E2', 'Verlichting volgens NEN', 'Elektra'],
+    ])
+    const next = await createRequirements([
+      ['E1', 'De brug is 12 meter breed', 'Civiel'],
+      ['E3', 'Nieuwe eis', 'Civiel'],
+    ])
+    const results = await compareWorkbooks(old, next, {
+      keyColumns: ['Eiscode'],
+      compareColumns: ['EisTekst'],
+      fileNameA: 'rev-a.xlsx',
+      fileNameB: 'rev-b.xlsx',
+    })
+    assert.deepEqual(
+      results.rows.map((row) => [row.key, row.status]),
+      [
+        ['E1', STATUS_CHANGED],
+        ['E3', STATUS_ADDED],
+      ]
+    )
+    assert.equal(results.stats.removed, 1)
+    assert.deepEqual(results.labels.new, ['EisTekst [Nieuw]'])
+    assert.equal(results.meta.fileA.name, 'rev-a.xlsx')
+    assert.equal(results.meta.fileB.rows, 2)
+    assert.equal(hasDifferences(results), true)
+  })
+
+  it('matches column names case-insensitively and supports renamed columns', async () => {
+    const old = await createWorkbook({
+      Eisen: [
+        ['Code', 'Tekst'],
+        ['E1', 'Oud'],
+      ],
+    })
+    const next = await createWorkbook({
+      Eisen: [
+        ['eiscode', 'eistekst'],
+        ['E1', 'Nieuw'],
+      ],
+    })
+    const results = await compareWorkbooks(old, next, {
+      keyColumns: ['code'],
+      compareColumns: ['TEKST'],
+      keyColumnsB: ['Eiscode'],
+      compareColumnsB: ['EisTekst'],
+    })
+    assert.equal(results.rows[0].status, STATUS_CHANGED)
+    assert.deepEqual(results.settings.compareColumns, [{ old: 'Tekst', new: 'eistekst' }])
+  })
+
+  it('uses the requested sheets', async () => {
+    const old = await createWorkbook({
+      Voorblad: [['Titel'], ['Project X']],
+      Eisen: [
+        ['Eiscode', 'EisTekst'],
+        ['E1', 'Tekst'],
+      ],
+    })
+    const results = await compareWorkbooks(old, old, { sheetsA: ['eisen'] })
+    assert.equal(results.meta.fileA.sheetName, 'Eisen')
+    await assert.rejects(
+      compareWorkbooks(old, old, { sheetsA: ['Bijlage'] }),
+      /Werkblad "Bijlage" niet gevonden/
+    )
+  })
+
+  it('includes context columns in the result and the report workbook', async () => {
+    const old = await createRequirements([
+      ['E1', 'Tekst', 'Civiel'],
+      ['E2', 'Vervalt', 'Civiel'],
+    ])
+    const next = await createRequirements([['E1', 'Tekst', 'Elektra']])
+    const results = await compareWorkbooks(old, next, { contextColumns: ['discipline'] })
+    assert.equal(results.rows[0].status, STATUS_UNCHANGED)
+    assert.deepEqual(results.rows[0].contextValues, ['Elektra'])
+    assert.deepEqual(results.contextNames, ['Discipline'])
+    const workbook = buildReportWorkbook(results)
+    assert.equal(workbook.getWorksheet('Resultaat').getRow(1).getCell(5).value, 'Discipline')
+    assert.equal(workbook.getWorksheet('Resultaat').getRow(2).getCell(5).value, 'Elektra')
+    const removed = workbook.getWorksheet('Vervallen eisen').getRow(2)
+    assert.deepEqual(removed.values.slice(1, 4), ['E2', 'Vervalt', 'Civiel'])
+  })
+
+  it('reports missing columns per file', async () => {
+    const buffer = await createRequirements([['E1', 'Tekst', 'Civiel']])
+    await assert.rejects(
+      compareWorkbooks(buffer, buffer, { compareColumns: ['Omschrijving'], fileNameA: 'oud.xlsx' }),
+      { message: 'Kolommen ontbreken in oud.xlsx: Omschrijving' }
+    )
+  })
+})
+
+describe('buildReportWorkbook', () => {
+  it('builds the result, removed and legend sheets', async () => {
+    const old = await createRequirements([
+      ['E1', 'Oude tekst', 'Civiel'],
+      ['E2', 'Vervalt', 'Civiel'],
+    ])
+    const next = await createRequirements([['E1', 'Nieuwe tekst', 'Civiel']])
+    const workbook = buildReportWorkbook(await compareWorkbooks(old, next))
+    assert.deepEqual(
+      workbook.worksheets.map((sheet) => sheet.name),
+      ['Resultaat', 'Vervallen eisen', 'Datakwaliteit', 'Legenda']
+    )
+    const result = workbook.getWorksheet('Resultaat')
+    assert.deepEqual(result.getRow(1).values.slice(1), [
+      'Eiscode',
+      'Vorige Eiscode',
+      'EisTekst [Oud]',
+      'EisTekst [Nieuw]',
+      'Overeenkomst',
+      'Gewijzigde kolommen',
+      'Status',
+      'Rij bestand 1',
+      'Rij bestand 2',
+    ])
+    assert.equal(result.getRow(2).getCell(7).value, STATUS_CHANGED)
+    assert.equal(result.getRow(2).getCell(8).value, 2)
+    assert.equal(workbook.getWorksheet('Vervallen eisen').getRow(2).getCell(1).value, 'E2')
+  })
+})
+
+describe('buildResultWorkbook', () => {
+  it('links the source row numbers to the included source sheets', async () => {
+    const old = await createRequirements([
+      ['E1', 'Oude tekst', 'Civiel'],
+      ['E2', 'Vervalt', 'Civiel'],
+    ])
+    const next = await createRequirements([
+      ['E3', 'Nieuwe eis', 'Civiel'],
+      ['E1', 'Nieuwe tekst', 'Civiel'],
+    ])
+    const results = await compareWorkbooks(old, next)
+    const [sourceA, sourceB] = await Promise.all([
+      readSpreadsheet(old, 'oud.xlsx'),
+      readSpreadsheet(next, 'nieuw.xlsx'),
+    ])
+    const workbook = buildResultWorkbook({
+      results,
+      rows: results.rows,
+      removed: results.removed,
+      labels: results.labels,
+      sources: { A: sourceA.sheets, B: sourceB.sheets },
+    })
+    assert.deepEqual(
+      workbook.worksheets.map((sheet) => sheet.name),
+      ['Resultaat', 'Vervallen eisen', 'Datakwaliteit', 'Legenda', 'Bron 1 Eisen', 'Bron 2 Eisen']
+    )
+    const changed = workbook.getWorksheet('Resultaat').getRow(3)
+    assert.equal(changed.getCell(7).value, STATUS_CHANGED)
+    assert.deepEqual(changed.getCell(8).value, { text: '2', hyperlink: "#'Bron 1 Eisen'!A2" })
+    assert.deepEqual(changed.getCell(9).value, { text: '3', hyperlink: "#'Bron 2 Eisen'!A3" })
+    assert.deepEqual(workbook.getWorksheet('Vervallen eisen').getRow(2).getCell(3).value, {
+      text: '3',
+      hyperlink: "#'Bron 1 Eisen'!A3",
+    })
+    const source = workbook.getWorksheet('Bron 2 Eisen')
+    assert.equal(source.getRow(3).getCell(2).value, 'Nieuwe tekst')
+    assert.equal(source.getRow(3).getCell(1).fill.fgColor.argb, 'FFFFE6B7')
+  })
+})
+
+describe('annotateWorkbook', () => {
+  it('writes the previous key and old text of renumbered rows next to bestand 2', async () => {
+    const text = 'De installatie moet op afstand bedienbaar zijn vanuit de centrale post'
+    const old = await createRequirements([
+      ['E1', 'Oude tekst', 'Civiel'],
+      ['E7', text, 'Elektra'],
+    ])
+    const next = await createRequirements([
+      ['E1', 'Nieuwe tekst', 'Civiel'],
+      ['E9', text, 'Elektra'],
+    ])
+    const results = await compareWorkbooks(old, next)
+    const workbook = await annotateWorkbook({
+      buffer: next,
+      results,
+      sheets: [{ name: 'Eisen', headerRow: 1 }],
+      labels: { removedKeys: results.labels.removedKeys, old: ['EisTekst'] },
+    })
+    const sheet = workbook.getWorksheet('Eisen')
+    assert.deepEqual(sheet.getRow(1).values.slice(4), ['Status', 'Oude sleutel', 'Oude tekst'])
+    assert.equal(sheet.getRow(2).getCell(4).value, STATUS_CHANGED)
+    assert.equal(sheet.getRow(2).getCell(5).value, null)
+    assert.ok(sheet.getRow(2).getCell(6).value.richText)
+    assert.deepEqual(sheet.getRow(3).values.slice(4), [STATUS_RENUMBERED, 'E7', text])
+  })
+})
+
+describe('buildJsonExport', () => {
+  it('lists duplicated and empty keys with their rows', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'Eerste', 'Civiel'],
+        ['', 'Zonder code', 'Civiel'],
+        ['E1', 'Tweede', 'Civiel'],
+      ]),
+      await createRequirements([['E1', 'Eerste', 'Civiel']])
+    )
+    const data = JSON.parse(
+      buildJsonExport({
+        results,
+        settings: results.settings,
+        meta: { ...results.meta, generatedAt: '2024-01-01T00:00:00.000Z' },
+      })
+    )
+    assert.deepEqual(data.duplicateKeys, {
+      old: [
+        {
+          key: ['E1'],
+          rows: [
+            { sheet: 'Eisen', row: 2 },
+            { sheet: 'Eisen', row: 4 },
+          ],
+        },
+      ],
+      new: [],
+    })
+    assert.deepEqual(data.emptyKeyRows, {
+      old: [{ sheet: 'Eisen', row: 3, key: [''], values: ['Zonder code'] }],
+      new: [],
+    })
+  })
+
+  it('gives the sheet and row of each requirement in both files', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'Oude tekst', 'Civiel'],
+        ['E2', 'Vervalt', 'Civiel'],
+      ]),
+      await createRequirements([
+        ['E3', 'Nieuwe eis', 'Civiel'],
+        ['E1', 'Nieuwe tekst', 'Civiel'],
+      ])
+    )
+    const data = JSON.parse(
+      buildJsonExport({
+        results,
+        settings: results.settings,
+        meta: { ...results.meta, generatedAt: '2024-01-01T00:00:00.000Z' },
+      })
+    )
+    const changed = data.rows.find((row) => row.key[0] === 'E1')
+    assert.deepEqual(changed.locationA, { sheet: 'Eisen', row: 2 })
+    assert.deepEqual(changed.locationB, { sheet: 'Eisen', row: 3 })
+    assert.equal(data.rows.find((row) => row.key[0] === 'E3').locationA, null)
+    assert.deepEqual(data.removed[0].locationA, { sheet: 'Eisen', row: 3 })
+    assert.equal(data.removed[0].locationB, null)
+
+    const lines = buildCsvExport({ results, labels: results.labels }).trim().split('\r\n')
+    assert.deepEqual(lines[0].split(';').slice(-4), [
+      'Werkblad bestand 1',
+      'Rij bestand 1',
+      'Werkblad bestand 2',
+      'Rij bestand 2',
+    ])
+    assert.deepEqual(lines.at(-1).split(';').slice(-4), ['Eisen', '3', '', ''])
+  })
+})
@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import {
+  STATUS_ADDED,
+  STATUS_CHANGED,
+  STATUS_UNCHANGED,
+  formatDuplicateKey,
+} from '../src/engine.js'
+import { compareWorkbooks, hasDifferences } from '../src/headless.js'
+import { createRequirements, createWorkbook } from './fixtures.js'
+
+const statuses = (results) => results.rows.map((row) => [row.key, row.status])
+
+const REQUIREMENTS = [
+  ['E1', 'De brug is 10 meter breed', 'Civiel'],
+  ['E2', 'Verlichting volgens NEN 1838', 'Elektra'],
+  ['E3', 'De pomp levert minimaal 10 m3/h', 'Werktuigbouw'],
+]
+
+describe('unchanged requirements', () => {
+  it('reports identical workbooks as unchanged', async () => {
+    const buffer = await createRequirements(REQUIREMENTS)
+    const results = await compareWorkbooks(buffer, buffer)
+    assert.deepEqual(statuses(results), [
+      ['E1', STATUS_UNCHANGED],
+      ['E2', STATUS_UNCHANGED],
+      ['E3', STATUS_UNCHANGED],
+    ])
+    assert.equal(results.removed.length, 0)
+    assert.equal(hasDifferences(results), false)
+  })
+
+  it('ignores the row order', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements(REQUIREMENTS),
+      await createRequirements([...REQUIREMENTS].reverse())
+    )
+    assert.equal(results.stats.unchanged, 3)
+    assert.deepEqual(results.rows[0].locationA, { sheet: 'Eisen', row: 4 })
+    assert.deepEqual(results.rows[0].locationB, { sheet: 'Eisen', row: 2 })
+    assert.equal(hasDifferences(results), false)
+  })
+
+  it('ignores differences in whitespace and line breaks', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([['E1', 'De brug is 10 meter breed', 'Civiel']]),
+      await createRequirements([['E1', '  De brug is\n10  meter breed ', 'Civiel']])
+    )
+    assert.deepEqual(statuses(results), [['E1', STATUS_UNCHANGED]])
+  })
+})
+
+describe('duplicate keys', () => {
+  it('matches identical rows under a duplicated key regardless of order', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'De brug is 10 meter breed', 'Civiel'],
+        ['E1', 'Verlichting volgens NEN 1838', 'Elektra'],
+      ]),
+      await createRequirements([
+        ['E1', 'Verlichting volgens NEN 1838', 'Elektra'],
+        ['E1', 'De brug is 10 meter breed', 'Civiel'],
+      ])
+    )
+    assert.deepEqual(statuses(results), [
+      ['E1', STATUS_UNCHANGED],
+      ['E1', STATUS_UNCHANGED],
+    ])
+    assert.deepEqual(
+      results.rows.map((row) => [row.locationA.row, row.locationB.row]),
+      [
+        [3, 2],
+        [2, 3],
+      ]
+    )
+  })
+
+  it('pairs the remaining rows on text similarity', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'De pomp levert minimaal 10 m3/h bij 2 bar', 'Werktuigbouw'],
+        ['E1', 'Verlichting volgens NEN 1838', 'Elektra'],
+        ['E1', 'Alle deuren zijn brandwerend', 'Bouwkunde'],
+      ]),
+      await createRequirements([
+        ['E1', 'Verlichting volgens NEN 1838', 'Elektra'],
+        ['E1', 'Het dak is groen uitgevoerd met sedum', 'Bouwkunde'],
+        ['E1', 'De pomp levert minimaal 12 m3/h bij 2 bar', 'Werktuigbouw'],
+      ])
+    )
+    assert.deepEqual(statuses(results), [
+      ['E1', STATUS_UNCHANGED],
+      ['E1', STATUS_CHANGED],
+      ['E1', STATUS_ADDED],
+    ])
+    assert.deepEqual(results.rows[1].oldValues, ['De pomp levert minimaal 10 m3/h bij 2 bar'])
+    assert.deepEqual(
+      results.removed.map((row) => row.oldValues[0]),
+      ['Alle deuren zijn brandwerend']
+    )
+  })
+
+  it('lists the duplicated keys per file with their rows', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'Eerste', 'Civiel'],
+        ['E2', 'Tweede', 'Civiel'],
+        ['E1', 'Derde', 'Civiel'],
+      ]),
+      await createRequirements([
+        ['E2', 'Tweede', 'Civiel'],
+        ['E2', 'Vierde', 'Civiel'],
+        ['E2', 'Vijfde', 'Civiel'],
+      ])
+    )
+    assert.deepEqual(results.duplicateKeysA.map(formatDuplicateKey), ['E1 (rijen 2, 4)'])
+    assert.deepEqual(results.duplicateKeysB.map(formatDuplicateKey), ['E2 (rijen 2, 3, 4)'])
+  })
+
+  it('names the sheets when duplicates span several sheets', async () => {
+    const buffer = await createWorkbook({
+      Civiel: [
+        ['Eiscode', 'EisTekst'],
+        ['E1', 'Eerste'],
+      ],
+      Elektra: [
+        ['Eiscode', 'EisTekst'],
+        ['E1', 'Tweede'],
+      ],
+    })
+    const results = await compareWorkbooks(buffer, buffer, { sheetsA: ['Civiel', 'Elektra'] })
+    assert.deepEqual(results.duplicateKeysA.map(formatDuplicateKey), [
+      'E1 (Civiel rij 2, Elektra rij 2)',
+    ])
+    assert.equal(results.stats.unchanged, 2)
+  })
+})
+
+describe('empty keys', () => {
+  it('skips rows without a key and compares the rest', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'De brug is 10 meter breed', 'Civiel'],
+        ['', 'Eis zonder code', 'Civiel'],
+      ]),
+      await createRequirements([
+        ['  ', 'Eis zonder code', 'Civiel'],
+        ['E1', 'De brug is 10 meter breed', 'Civiel'],
+      ])
+    )
+    assert.deepEqual(statuses(results), [['E1', STATUS_UNCHANGED]])
+    assert.equal(results.emptyKeysA, 1)
+    assert.equal(results.emptyKeysB, 1)
+    assert.equal(hasDifferences(results), false)
+  })
+})
+
+describe('multiple compare columns', () => {
+  const options = { compareColumns: ['EisTekst', 'Discipline'] }
+
+  it('reports a row as unchanged only when all columns match', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements(REQUIREMENTS),
+      await createRequirements([
+        REQUIREMENTS[0],
+        ['E2', 'Verlichting volgens NEN 1838', 'Installaties'],
+        REQUIREMENTS[2],
+      ]),
+      options
+    )
+    const rows = Object.fromEntries(results.rows.map((row) => [row.key, row]))
+    assert.equal(rows.E1.status, STATUS_UNCHANGED)
+    assert.equal(rows.E2.status, STATUS_CHANGED)
+    assert.deepEqual(rows.E2.changedColumns, [false, true])
+    assert.deepEqual(results.stats.changedByColumn, [0, 1])
+  })
+
+  it('matches duplicated keys on all compare columns', async () => {
+    const results = await compareWorkbooks(
+      await createRequirements([
+        ['E1', 'Zelfde tekst', 'Civiel'],
+        ['E1', 'Zelfde tekst', 'Elektra'],
+      ]),
+      await createRequirements([
+        ['E1', 'Zelfde tekst', 'Elektra'],
+        ['E1', 'Zelfde tekst', 'Civiel'],
+      ]),
+      options
+    )
+    assert.equal(results.stats.unchanged, 2)
+    assert.equal(hasDifferences(results), false)
+  })
+})
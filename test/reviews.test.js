@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { STATUS_ADDED, STATUS_CHANGED, compareDatasets } from '../src/engine.js'
+import { buildJsonExport } from '../src/dataExport.js'
+import { readSpreadsheet } from '../src/formats.js'
+import { compareWorkbooks } from '../src/headless.js'
+import {
+  REVIEW_ACCEPTED,
+  REVIEW_QUESTION,
+  REVIEW_REJECTED,
+  carryForwardReviews,
+  countReviews,
+  parseReviewJson,
+  parseReviewSheets,
+  reviewKey,
+} from '../src/reviews.js'
+import { buildResultWorkbook } from '../src/workbook.js'
+import { SETTINGS, createRequirements, dataset } from './fixtures.js'
+
+describe('reviewKey', () => {
+  it('keeps the plain key for unique keys', () => {
+    const results = compareDatasets(
+      dataset([['E1', 'Oude tekst']]),
+      dataset([['E1', 'Nieuwe tekst']]),
+      SETTINGS
+    )
+    assert.equal(reviewKey(results.rows[0]), JSON.stringify(['', 'E1']))
+  })
+
+  it('tells rows under a duplicated key apart', () => {
+    const results = compareDatasets(
+      dataset([['E1', 'De brug is 10 meter breed']]),
+      dataset([
+        ['E1', 'De brug is 12 meter breed'],
+        ['E1', 'Verlichting volgens NEN 1838'],
+      ]),
+      SETTINGS
+    )
+    assert.deepEqual(
+      results.rows.map((row) => row.status),
+      [STATUS_CHANGED, STATUS_ADDED]
+    )
+    const [changed, added] = results.rows.map(reviewKey)
+    assert.notEqual(changed, added)
+    const counts = countReviews(results.rows, { [changed]: { decision: REVIEW_ACCEPTED } })
+    assert.equal(counts[STATUS_CHANGED].reviewed, 1)
+    assert.equal(counts[STATUS_ADDED].reviewed, 0)
+  })
+})
+
+describe('carrying reviews forward', () => {
+  const OPTIONS = { compareColumns: ['EisTekst'], contextColumns: ['Discipline'] }
+  const FIRST = [['E1', 'De brug is 10 meter breed', 'Civiel']]
+  const SECOND = [
+    ['E1', 'De brug is 12 meter breed', 'Civiel'],
+    ['E2', 'Verlichting volgens NEN 1838', 'Elektra'],
+    ['E3', 'De pomp levert 10 m3/h', 'Werktuigbouw'],
+    ['E3', 'Alle deuren zijn brandwerend', 'Bouwkunde'],
+  ]
+  const THIRD = [
+    ['E1', 'De brug is 12 meter breed', 'Civiel'],
+    ['E2', 'Verlichting volgens NEN-EN 12464', 'Elektra'],
+    ['E3', 'Alle deuren zijn brandwerend', 'Bouwkunde'],
+    ['E3', 'De pomp levert 10 m3/h', 'Werktuigbouw'],
+  ]
+  const DECISIONS = {
+    'De brug is 12 meter breed': { decision: REVIEW_ACCEPTED, comment: 'Akkoord' },
+    'Verlichting volgens NEN 1838': { decision: REVIEW_REJECTED, comment: 'Norm verouderd' },
+    'De pomp levert 10 m3/h': { decision: REVIEW_ACCEPTED, comment: 'Pomp' },
+    'Alle deuren zijn brandwerend': { decision: REVIEW_QUESTION, comment: 'Welke klasse?' },
+  }
+
+  const reviewed = async () => {
+    const results = await compareWorkbooks(
+      await createRequirements(FIRST),
+      await createRequirements(SECOND),
+      OPTIONS
+    )
+    const reviews = Object.fromEntries(
+      results.rows.map((row) => [reviewKey(row), DECISIONS[row.newValues[0]]])
+    )
+    return { results, reviews }
+  }
+
+  const carryForward = async (entries) => {
+    const next = await compareWorkbooks(
+      await createRequirements(FIRST),
+      await createRequirements(THIRD),
+      OPTIONS
+    )
+    const carried = carryForwardReviews(next.rows, entries, {})
+    const byText = Object.fromEntries(
+      next.rows.map((row) => [row.newValues[0], carried.reviews[reviewKey(row)]])
+    )
+    return { carried, byText }
+  }
+
+  const assertCarried = ({ carried, byText }) => {
+    assert.equal(carried.kept, 3)
+    assert.equal(carried.reassess, 1)
+    assert.equal(byText['De brug is 12 meter breed'].decision, REVIEW_ACCEPTED)
+    assert.equal(byText['De pomp levert 10 m3/h'].comment, 'Pomp')
+    assert.equal(byText['Alle deuren zijn brandwerend'].decision, REVIEW_QUESTION)
+    assert.deepEqual(byText['Verlichting volgens NEN-EN 12464'], {
+      decision: '',
+      comment: 'Norm verouderd',
+      reassess: true,
+      previousDecision: REVIEW_REJECTED,
+    })
+  }
+
+  it('reads the reviews back from an Excel export', async () => {
+    const { results, reviews } = await reviewed()
+    const workbook = buildResultWorkbook({
+      results,
+      rows: results.rows,
+      removed: results.removed,
+      labels: results.labels,
+      filters: null,
+      reviews,
+    })
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer())
+    const entries = parseReviewSheets((await readSpreadsheet(buffer, 'diff.xlsx')).sheets)
+    assert.equal(entries.length, 4)
+    assertCarried(await carryForward(entries))
+  })
+
+  it('reads the reviews back from a JSON export', async () => {
+    const { results, reviews } = await reviewed()
+    const json = buildJsonExport({
+      results,
+      settings: results.settings,
+      meta: { ...results.meta, generatedAt: '2024-01-01T00:00:00.000Z' },
+      reviews,
+    })
+    assertCarried(await carryForward(parseReviewJson(json)))
+  })
+})